@@ -13,6 +13,7 @@ const browserSync = require('browser-sync').create();
 const config = {
 		jsPath: './src/js',
     sassPath: './src/scss',
+    workerPath: './src/worker',
 		modulesPath: './node_modules' ,
 }
 
@@ -34,6 +35,20 @@ function scripts() {
   );
 }
 
+// Parsing runs in a web worker that needs its own bundle (no DOM libraries)
+function workerScripts() {
+  return gulp.src([
+      config.modulesPath + '/d3/dist/d3.min.js',
+      config.modulesPath + '/moment/min/moment.min.js',
+      config.jsPath + '/graph/*.js',
+      config.jsPath + '/model/*.js',
+      config.jsPath + '/util/*.js',
+      config.workerPath + '/*.js'
+    ])
+    .pipe(concat('worker.js'))
+    .pipe(gulp.dest('./dist'));
+}
+
 function vendorScripts() {
   return gulp.src([
       config.modulesPath + '/jquery/dist/jquery.min.js',
@@ -52,10 +67,11 @@ function vendorScripts() {
 // Watch files
 function watchFiles() {
   gulp.watch(config.sassPath + '/**/*.scss', css);
-  gulp.watch(config.jsPath + '/**/*.js', scripts);
+  gulp.watch(config.jsPath + '/**/*.js', gulp.parallel(scripts, workerScripts));
+  gulp.watch(config.workerPath + '/*.js', workerScripts);
 }
 
-const build = gulp.parallel(css, vendorScripts, scripts);
+const build = gulp.parallel(css, vendorScripts, scripts, workerScripts);
 const watch = gulp.parallel(watchFiles);
 
 exports.build = build;
@@ -5,9 +5,26 @@ const path = "";
 let examplesData;
 let selectedExample;
 
+// Length of the excerpt of a log file that is shown in the text field
+const logFilePreviewLength = 256 * 1024;
+
+// Parses the raw log and builds the graphs in a web worker
+let backgroundParser = new BackgroundParser({
+  workerPath: path + "dist/worker.js",
+  onProgress: showParseProgress,
+  onDone: showParsedData,
+  onError: showParseError
+});
+
 // Helper class to get happened-before relationships and node positions for DAG.
 let graph;
 
+// Graphs of all executions in the log (key: execution label)
+let executionGraphs = {};
+
+// Clock violations of all executions (key: execution label, see ClockValidator)
+let clockViolations = {};
+
 // All events
 let logEvents;
 
@@ -18,7 +35,7 @@ let filteredConnections;
 // Event handler for temporal selections
 let OverviewEventHandler = {};
 
-// Search parameters (fuse.js library)
+// Search parameters (fuse.js library), all fields of the events are searched as well
 let fuse;
 const fuseSearchOptions = {
   tokenize: true,
@@ -31,7 +48,9 @@ const fuseSearchOptions = {
   keys: [
     "text",
     "host",
-    "fields.action"
+    "displayHost",
+    // Events of merged nodes (see ModelGraph.collapseLocalEvents)
+    "logEvents.text"
   ]
 };
 
@@ -43,7 +62,16 @@ let temporalHeatmap = new TemporalHeatmap({ parentElement: "#temporal-heatmap" }
 let adjacencyMatrix = new AdjacencyMatrix({ parentElement: "#adjacency-matrix" });
 let dag = new DirectedAcyclicGraph({ parentElement: "#dag" });
 let hostDistributionChart = new BarChart({ parentElement: "#host-distribution .bar-chart", y:"key", x:"value", id:"hosts" });
-let actionDistributionChart = new BarChart({ parentElement: "#action-distribution .bar-chart", y:"key", x:"value", id:"actions" });
+let fieldDistributionChart = new BarChart({ parentElement: "#field-distribution .bar-chart", y:"key", x:"value", id:"values" });
+
+// Maximum number of values (the most frequent ones) in the chart of a field
+const maxFieldValues = 30;
+
+// Minimum number of consecutive local events that are collapsed into one node
+const minCollapsedEvents = 3;
+
+// Live preview of the parser regex on the first lines of the log
+let parserPreview = new ParserPreview({ parentElement: "#parser-preview", maxLines: 50 });
 
 // Initalize global tooltip
 let tooltip = new Tooltip({ parentElement: "#global-tooltip" });
@@ -53,9 +81,26 @@ let app = {
   filter: {
     time: [],
     tags: [],
-    actions: [],
-    hosts: []
+    values: [],
+    hosts: [],
+    causal: null
   },
+  // Events of the selected execution with clock violations (see ClockValidator)
+  violations: new Set(),
+  // Events that are marked in the views (e.g., clock violations) or null
+  highlight: null,
+  // Linked highlighting { ids, hosts, values, pairs } of the element under the mouse or the causal filter event
+  // (see getLinkedHighlight), pinned: highlighting of the causal filter event
+  linked: null,
+  pinnedLink: null,
+  // Causal path mode of the DAG and the selection { nodes (one or two), events (highlighted nodes), concurrent } or null
+  causalPathMode: false,
+  causalPath: null,
+  // Host aliases and groups
+  hostMapping: new HostMapping({}),
+  // Field names of the selected execution and the field in the value chart
+  fields: [],
+  field: null,
   tooltip: tooltip
 }
 
@@ -64,9 +109,12 @@ const views = [
   temporalHeatmap,
   adjacencyMatrix,
   hostDistributionChart,
-  actionDistributionChart
+  fieldDistributionChart
 ];
 
+// Views with linked highlighting (see setLinkedHighlight)
+const linkedViews = views.concat([dag]);
+
 let testData = {
   "nodes":[
     {"name":"node0"},
@@ -87,6 +135,11 @@ let testData = {
 
 loadExamples();
 
+// Clock formats that can be selected in the parse form
+ClockDecoder.getAll().forEach(d => {
+  $("#clock-format-select").append($("<option>").val(d.config.name).text(d.config.title + ", e.g. " + d.config.example));
+});
+
 // Load meta-data for all examples
 function loadExamples() {
   d3.json(path + "data/examples_config.json")
@@ -103,53 +156,368 @@ function loadExamples() {
 
 // Load log data for one example
 function selectExample(filename) {
+  closeLogFiles();
   selectedExample = examplesData.find(d=>d.filename==filename);
 
   d3.text(path + "data/log/" + selectedExample.filename).then(data => {
     $("#log-input").val(data);
+    updateParserPreview();
   });
 
-  $("#parser-input").val(selectedExample.parser);
+  setLogFormat(selectedExample.format);
+  if(selectedExample.format == "trace") {
+    $("#trace-hosts-select").val(selectedExample.parser);
+  } else {
+    $("#parser-input").val(selectedExample.parser);
+  }
+  $("#delimiter-input").val(selectedExample.delimiter || "");
+  $("#clock-format-select").val(selectedExample.clockFormat || "json");
+  $("#field-extraction-select").val(selectedExample.fieldSeparators || "");
+  setTimeConfig(selectedExample.time);
+  $("#ordering-select").val(selectedExample.ordering || "ascending");
+  $("#format-proposal").attr("hidden", true);
+
+  let hosts = selectedExample.hosts || {};
+  $("#host-rules-input").val(HostMapping.formatRules(hosts.rules || []));
+  setHostGrouping(hosts.grouping);
+}
+
+// Large log files are not loaded into the text field, the worker reads them in chunks.
+// Multiple files (e.g., gzipped per-host logs) are merged into one log.
+function openLogFiles(files) {
+  app.files = files;
+  selectedExample = null;
+
+  new LogFileReader(files[0]).readPreview(logFilePreviewLength).then(preview => {
+    let lineCount = preview.text.split("\n").length - (preview.text.endsWith("\n") ? 1 : 0);
+    let size = d3.format(".3~s")(d3.sum(files, d => d.size)) + "B";
+    let description = files.length == 1 ? files[0].name + " (" + size + ")" : files.length + " files (" + size + ")";
+    if(!preview.complete || files.length > 1) {
+      description += " – the text field shows the first " + d3.format(",")(lineCount) + " lines of " + files[0].name;
+    }
+
+    $("#log-input").val(preview.text).prop("readonly", true);
+    $("#log-file-description").text(description);
+    $("#log-file-info").removeAttr("hidden");
+    updateParserPreview();
+  });
+}
+
+function closeLogFiles() {
+  if(!app.files) return;
+
+  app.files = null;
+  $("#log-input").val("").prop("readonly", false);
+  $("#log-file-info").attr("hidden", true);
+  updateParserPreview();
+}
+
+// Propose a parser regex for the pasted log
+function detectFormat() {
+  let detector = new FormatDetector({ knownParsers: examplesData || [] });
+  let proposal = detector.detect($("#log-input").val());
+
+  $("#format-proposal").removeAttr("hidden");
+  if(!proposal) {
+    $("#format-proposal-message").text("No known format detected. Each event needs a host and a JSON vector clock, e.g. host {\"host\":1}.");
+    $("#format-proposal-parser").text("").attr("hidden", true);
+    $("#accept-format").attr("hidden", true);
+    return;
+  }
+
+  let coverage = Math.round(proposal.coverage * 100);
+  if(proposal.format == "trace") {
+    $("#format-proposal-message").text(proposal.title + " with " + proposal.matches + " spans, hosts:");
+  } else {
+    $("#format-proposal-message").text(proposal.title + " (" + proposal.matches + " events, " + coverage + "% of the examined lines):");
+  }
+  $("#format-proposal-parser").text(proposal.parser).removeAttr("hidden");
+  $("#format-proposal").data("format", proposal.format);
+  $("#accept-format").removeAttr("hidden");
+}
+
+function acceptFormat() {
+  setLogFormat($("#format-proposal").data("format"));
+  if($("#format-proposal").data("format") == "trace") {
+    $("#trace-hosts-select").val($("#format-proposal-parser").text());
+  } else {
+    $("#parser-input").val($("#format-proposal-parser").text());
+  }
+  $("#format-proposal").attr("hidden", true);
+  updateParserPreview();
+}
+
+// Text logs are parsed with a regex, JSON lines with a mapping of JSON paths (see JsonMapping).
+// Traces have fixed fields, only the granularity of hosts can be chosen (see TraceImporter).
+function setLogFormat(format) {
+  format = format || "regex";
+  $("#log-format-select").val(format);
+  $("#parser-input").prop("hidden", format == "trace");
+  $("#trace-hosts-select").prop("hidden", format != "trace");
+  $("#delimiter-container").prop("hidden", format == "trace");
+  $("#clock-format-container").prop("hidden", format == "trace");
+
+  if(format == "trace") {
+    $("#parser-label").text("Hosts of the trace");
+    setTimeConfig(TraceImporter.TIME);
+  } else if(format == "json") {
+    $("#parser-label").text("JSON mapping of host, clock, event, time (optional) and fields (optional) to JSON paths");
+    $("#parser-input").attr("placeholder", '{"host": "process.name", "clock": "vc", "event": "message", "time": "timestamp"}');
+  } else {
+    $("#parser-label").text("Regular expression for log parsing");
+    $("#parser-input").attr("placeholder", "");
+  }
+  updateParserPreview();
+}
+
+function updateParserPreview() {
+  // The preview shows regex matches only
+  parserPreview.parser = $("#log-format-select").val() != "regex" ? "" : $("#parser-input").val().trim();
+  parserPreview.log = $("#log-input").val();
+  parserPreview.wrangleData();
 }
 
 // Use shiviz parser to process raw log data into JavaScript object
 function parseData() {
-  let log = $("#log-input").val();
-  let regexpString = $("#parser-input").val();
+  let log = app.files || $("#log-input").val();
+  let format = $("#log-format-select").val();
+  let regexpString = format == "trace" ? $("#trace-hosts-select").val() : $("#parser-input").val().trim();
+  let delimiterString = format == "trace" ? "" : $("#delimiter-input").val().trim();
+
+  app.log = log;
+  app.parser = regexpString;
+  app.format = format;
+  app.clockFormat = $("#clock-format-select").val();
+
+  $("#parse-error").attr("hidden", true);
+  $("#parse-report").attr("hidden", true);
+  $("#parse-report-link").attr("hidden", true);
+  $("#parse-progress").val(0);
+  $("#parse-status").empty();
+  $("#parse-progress-container").removeAttr("hidden");
+
+  backgroundParser.parse(log, regexpString, delimiterString, {
+    format: format,
+    clockFormat: app.clockFormat,
+    fieldSeparators: $("#field-extraction-select").val(),
+    lenient: $("#lenient-parsing").is(":checked"),
+    time: getTimeConfig(),
+    ordering: $("#ordering-select").val()
+  });
+}
 
-  let delimiterString = "";
-  let delimiter = delimiterString == "" ? null : new NamedRegExp(delimiterString, "m");
-  regexpString = regexpString.trim();
+// Configuration of the physical time field (see TimeParser)
+function getTimeConfig() {
+  return {
+    field: $("#time-field-input").val().trim(),
+    format: $("#time-format-input").val().trim(),
+    unit: $("#time-unit-select").val(),
+    timezone: $("#time-zone-input").val().trim()
+  };
+}
+
+function setTimeConfig(time) {
+  time = time || {};
+  $("#time-field-input").val(time.field || "");
+  $("#time-format-input").val(time.format || "");
+  $("#time-unit-select").val(time.unit || "");
+  $("#time-zone-input").val(time.timezone || "");
+  $("#time-format-input").prop("disabled", !!time.unit);
+}
+
+// Grouping RegExp of the host menu (presets or custom)
+function getHostGrouping() {
+  return $("#host-grouping-select").val() == "custom" ? $("#host-grouping-input").val().trim() : $("#host-grouping-select").val();
+}
+
+function setHostGrouping(grouping) {
+  grouping = grouping || "";
+  let preset = $("#host-grouping-select option").toArray().some(d => d.value == grouping);
+  $("#host-grouping-select").val(preset ? grouping : "custom");
+  $("#host-grouping-input").val(preset ? "" : grouping).prop("disabled", preset);
+}
+
+function showParseProgress(progress) {
+  if(progress.stage == "parse") {
+    $("#parse-progress").val(progress.fraction * 50);
+    $("#parse-status").html(d3.format(",")(progress.linesRead) + " lines read, " + d3.format(",")(progress.eventsParsed) + " events parsed");
+  } else {
+    $("#parse-progress").val(50 + progress.fraction * 50);
+    $("#parse-status").html("Building graph: " + d3.format(",")(progress.edgesResolved) + " edges resolved");
+  }
+}
+
+function showParseError(exception) {
+  $("#parse-progress-container").attr("hidden", true);
+  $("#parse-error").html(exception.getHTMLMessage()).removeAttr("hidden");
+}
+
+function showParsedData(labels, graphs, report) {
+  $("#parse-progress-container").attr("hidden", true);
+  executionGraphs = graphs;
+  readHostMapping();
+  clockViolations = d3.nest()
+      .key(d => d.label)
+      .object(report.violations.list);
+  showParseReport(report);
 
-  let regexp = new NamedRegExp(regexpString, "m");
-  let parser = new LogParser(log, delimiter, regexp);
-  
   // Switch tab and show visualization
+  $("#vis-tab").removeClass("uk-hidden");
   UIkit.switcher("#primary-nav .uk-nav").show(1);
   
-  // User parser from shiviz
-  var labelGraph = {};
-  var labels = parser.getLabels();
-  parsedLogEvents = parser.getLogEvents("");
+  // Fill execution picker (only shown if the log contains multiple executions)
+  $("#execution-select").empty();
+  labels.forEach(label => {
+    $("#execution-select").append($("<option>").val(label).text(label == "" ? "Unnamed execution" : label));
+  });
+  $("#execution-select-container").toggle(labels.length > 1);
+
+  // Original lines are only exported for logs that were parsed with a regex (see exportData)
+  $("#export-original").attr("hidden", app.format == "trace" || app.format == "json");
+
+  selectExecution(labels[0]);
+};
+
+// List skipped events and lines that were not matched by the parser
+function showParseReport(report) {
+  const maxEntries = 200;
+  let list = $("#parse-report-list").empty();
+
+  if(report.errors.length == 0 && report.unmatched.count == 0 && report.warnings.length == 0 && report.violations.count == 0) {
+    return;
+  }
 
-  // Check if physical timestamps are given
-  app.temporalOrder = (parsedLogEvents[0].fields.date) ? "physical" : "logical";
+  // Only lines of the text field can be selected (i.e., lines of the first file)
+  const lineLink = (lineNum, file) => {
+    if(file && typeof app.log != "string" && file != app.log[0].name) {
+      return '<span class="uk-text-bold">' + $("<span>").text(file).html() + ':' + lineNum + '</span>';
+    }
+    let label = file && app.log.length > 1 ? $("<span>").text(file).html() + ':' + lineNum : 'Line ' + lineNum;
+    return '<a href="#" class="log-line-link" data-line="' + lineNum + '">' + label + '</a>';
+  };
+
+  report.errors.slice(0, maxEntries).forEach(d => {
+    let message = d.exception.isUserFriendly() ? d.exception.getHTMLMessage() : "Unexpected error: " + d.exception.getHTMLMessage();
+    list.append('<li>' + lineLink(d.lineNum, d.file) + '<div class="parse-report-message">' + message + '</div></li>');
+  });
+
+  report.warnings.forEach(d => {
+    let host = $("<code>").text(d.host).prop("outerHTML");
+    let execution = report.warnings.some(w => w.label != d.label) ? " (" + $("<span>").text(d.label).html() + ")" : "";
+    list.append('<li>' + lineLink(d.lineNum, d.file) + ' clock of host ' + host + execution + ' does not increase'
+        + '<div class="parse-report-message">' + d.count + ' events of this host are out of order. Check the ordering of the log.</div></li>');
+  });
+
+  if(report.violations.count > 0) {
+    list.append('<li><a href="#" id="highlight-violations">Highlight events with clock violations in the views</a></li>');
+  }
+
+  report.violations.list.slice(0, maxEntries).forEach(d => {
+    let execution = report.violations.list.some(v => v.label != d.label) ? " (" + $("<span>").text(d.label).html() + ")" : "";
+    let related = d.related ? ', see ' + lineLink(d.related.lineNum, d.related.file) : '';
+    list.append('<li>' + lineLink(d.lineNum, d.file) + ' ' + ClockValidator.TYPES[d.type].toLowerCase() + execution
+        + '<div class="parse-report-message">' + $("<span>").text(d.message).html() + related + '</div></li>');
+  });
+
+  report.unmatched.lines.slice(0, maxEntries).forEach(d => {
+    let text = $("<code>").text(d.text).prop("outerHTML");
+    list.append('<li>' + lineLink(d.lineNum, d.file) + ' not matched by the parser: ' + text + '</li>');
+  });
+
+  let summary = report.errors.length + " events skipped, " + report.unmatched.count + " lines not matched";
+  if(report.warnings.length > 0) {
+    summary += ", " + report.warnings.length + " hosts with clocks out of order";
+  }
+  if(report.violations.count > 0) {
+    summary += ", " + report.violations.count + " clock violations";
+  }
+  $("#parse-report-link").text(summary).removeAttr("hidden");
 
-  graph = new ModelGraph({}, parsedLogEvents);
+  if(report.errors.length > maxEntries || report.unmatched.count > maxEntries || report.violations.count > maxEntries) {
+    summary += " (only the first " + maxEntries + " of each are listed)";
+  }
+  $("#parse-report-summary").text(summary);
+  $("#parse-report").removeAttr("hidden");
+}
+
+// Select a line in the log input
+function showLogLine(lineNum) {
+  UIkit.switcher("#primary-nav .uk-nav").show(0);
+
+  let textarea = $("#log-input")[0];
+  let lines = textarea.value.split("\n");
+
+  // The text field only contains the first lines of log files
+  if(lineNum > lines.length) {
+    UIkit.notification("Line " + lineNum + " is not part of the excerpt in the text field.", { status: "warning" });
+    return;
+  }
+  let start = lines.slice(0, lineNum - 1).join("\n").length + (lineNum > 1 ? 1 : 0);
+
+  textarea.focus();
+  textarea.setSelectionRange(start, start + lines[lineNum - 1].length);
+  textarea.scrollTop = (lineNum - 1) * parseFloat($(textarea).css("line-height")) - textarea.clientHeight / 2;
+}
+
+// Bind all views to the events of one execution
+function selectExecution(label) {
+  $("#execution-select").val(label);
+
+  graph = executionGraphs[label];
+  if($("#collapse-local-events").is(":checked")) {
+    graph.collapseLocalEvents(minCollapsedEvents);
+  } else {
+    graph.expandLocalEvents();
+  }
+  app.temporalOrder = graph.config.temporalOrder;
+  app.timeParser = new TimeParser(graph.config.time);
   logEvents = graph.getNodes();
+
+  // Fields of the events (e.g., capture groups of the parser or extracted key-value pairs)
+  app.fields = [];
+  logEvents.forEach(d => {
+    for(let name in d.fields) {
+      if(name != "time_numeric" && !app.fields.includes(name)) app.fields.push(name);
+    }
+  });
   
   // Initialize search
-  fuse = new Fuse(logEvents, fuseSearchOptions);
+  let searchKeys = fuseSearchOptions.keys.concat(app.fields.map(name => "fields." + name));
+  fuse = new Fuse(logEvents, Object.assign({}, fuseSearchOptions, { keys: searchKeys }));
+
+  // Field in the chart: the previous one, "action" or the first field (except the host, which has its own chart)
+  let chartFields = app.fields.filter(name => name != "host");
+  if(!chartFields.includes(app.field)) {
+    app.field = chartFields.includes("action") ? "action" : chartFields[0];
+  }
+  $("#field-select").empty();
+  chartFields.forEach(name => $("#field-select").append($("<option>").val(name).text(name)));
+  $("#field-select").val(app.field);
 
   // Reset filter
-  app.filter.actions = [];
+  app.filter.values = [];
   app.filter.hosts = [];
+  app.filter.causal = null;
+  $("#causal-filter").attr("hidden", true);
+  app.pinnedLink = null;
+  app.linked = null;
+  app.causalPath = null;
+  $("#causal-path").attr("hidden", true);
+
+  applyHostMapping();
+
+  // Events with clock violations (only highlighted on request), collapsed events are highlighted by their merged node
+  let eventsById = new Map(graph.data.map(d => [d.id, d]));
+  app.violations = new Set((clockViolations[label] || []).map(d => graph.getNode(eventsById.get(d.event))));
+  $("#violation-highlight-count").text(app.violations.size);
+  $("#violation-highlight-container").attr("hidden", app.violations.size == 0);
+  setViolationHighlight($("#violation-highlight").is(":checked"), false);
 
   filteredLogEvents = logEvents;
   filteredConnections = graph.getEdges();
   showNumberOfResults();
   updateViews();
-};
+}
 
 function filterData() {
   console.log(app.filter);
@@ -162,11 +530,11 @@ function filterData() {
   filteredLogEvents = filteredLogEvents.filter(d => {
     var decision = true;
 
-    if(app.filter.hosts.length > 0 && !app.filter.hosts.includes(d.host)) {
+    if(app.filter.hosts.length > 0 && !app.filter.hosts.includes(d.displayHost)) {
       decision = false;
     }
 
-    if(decision && app.filter.actions.length > 0 && !app.filter.actions.includes(d.fields.action)) {
+    if(decision && app.filter.values.length > 0 && !app.filter.values.includes(d.fields[app.field])) {
       decision = false;
     }
 
@@ -176,6 +544,10 @@ function filterData() {
       }
     }
 
+    if(decision && app.filter.causal && !app.filter.causal.events.has(d)) {
+      decision = false;
+    }
+
     return decision;
   });
 
@@ -190,6 +562,184 @@ function filterData() {
 }
 
 
+// Restrict all views to the causal past and/or future of an event (e.g., after a click in the DAG)
+function setCausalFilter(event, direction) {
+  direction = direction || $("#causal-filter-direction").val();
+
+  let events = new Set([event]);
+  if(direction != "future") {
+    graph.getCausalPast(event).forEach(d => events.add(d));
+  }
+  if(direction != "past") {
+    graph.getCausalFuture(event).forEach(d => events.add(d));
+  }
+
+  app.filter.causal = { event: event, direction: direction, events: events };
+  app.pinnedLink = getLinkedHighlight([event]);
+  app.linked = app.pinnedLink;
+
+  $("#causal-filter-label").text(event.host + ": " + event.text).attr("title", event.text);
+  $("#causal-filter-direction").val(direction);
+  $("#causal-filter").removeAttr("hidden");
+
+  filterData();
+}
+
+function removeCausalFilter() {
+  app.filter.causal = null;
+  app.pinnedLink = null;
+  app.linked = null;
+  $("#causal-filter").attr("hidden", true);
+  filterData();
+}
+
+// Mark the events with clock violations in the DAG and the heatmap
+function setViolationHighlight(active, update) {
+  $("#violation-highlight").prop("checked", active);
+  app.highlight = active && app.violations.size > 0 ? app.violations : null;
+
+  if(update !== false) {
+    updateSelectionViews();
+  }
+}
+
+/*
+ * Causal path
+ */
+
+// Causal path mode of the DAG: a click on a node highlights its causal chain (all ancestors and descendants) and dims
+// all other nodes. With pinSecond (shift-click), a second node is pinned and only the causal paths between both nodes
+// are highlighted, or both nodes if they are concurrent.
+function setCausalPath(node, pinSecond) {
+  let first = app.causalPath && app.causalPath.nodes[0];
+  let label;
+
+  if(pinSecond && first && first !== node) {
+    let events = graph.getCausalPath(first, node);
+    app.causalPath = { nodes: [first, node], events: events || new Set([first, node]), concurrent: !events };
+    label = (events ? "Causal path (" + events.size + " events): " : "Concurrent, no causal path: ")
+        + first.host + ": " + first.text + " ↔ " + node.host + ": " + node.text;
+  } else {
+    let events = new Set([node]);
+    graph.getCausalChain(node, "past").forEach(d => events.add(d));
+    graph.getCausalChain(node, "future").forEach(d => events.add(d));
+    app.causalPath = { nodes: [node], events: events, concurrent: false };
+    label = "Causal chain (" + events.size + " events): " + node.host + ": " + node.text;
+  }
+
+  $("#causal-path-label").text(label).attr("title", label).toggleClass("uk-label-warning", app.causalPath.concurrent);
+  $("#causal-path").removeAttr("hidden");
+
+  // The selected nodes are not collapsed into segments of local events
+  dag.wrangleDataAndUpdateScales();
+}
+
+function removeCausalPath() {
+  app.causalPath = null;
+  $("#causal-path").attr("hidden", true);
+  dag.wrangleDataAndUpdateScales();
+}
+
+
+/*
+ * Linked highlighting
+ */
+
+// Elements of all views that belong to the given events: the events (by id, including the events of merged nodes),
+// their hosts, their values of the selected field and their host pairs in the adjacency matrix ("host;parent host").
+// pairs: host pairs instead of the pairs of the events (e.g., for a cell of the matrix)
+function getLinkedHighlight(events, pairs) {
+  let linked = { ids: new Set(), hosts: new Set(), values: new Set(), pairs: new Set(pairs || []) };
+  events.forEach(d => {
+    linked.ids.add(d.id);
+    if(d instanceof ModelNode) {
+      d.getLogEvents().forEach(event => linked.ids.add(event.id));
+    }
+    linked.hosts.add(d.displayHost);
+    if(app.field && d.fields[app.field] != undefined) {
+      linked.values.add(d.fields[app.field]);
+    }
+    if(!pairs) {
+      d.happenedBefore.forEach(parent => linked.pairs.add(d.displayHost + ";" + parent.event.displayHost));
+    }
+  });
+  return linked;
+}
+
+// Highlight the elements that are linked to the hovered element in all views (null: back to the causal filter event)
+function setLinkedHighlight(linked) {
+  app.linked = linked || app.pinnedLink;
+  linkedViews.forEach(view => view.updateLinkedHighlight());
+}
+
+// Event, merged node or segment of local events (events: list of nodes) under the mouse
+function linkEvents(events) {
+  setLinkedHighlight(getLinkedHighlight(events));
+}
+
+// Bar of a chart (id: "hosts" or "values", see BarChart) under the mouse: all visible events with this host or value
+function linkChartValue(id, value) {
+  linkEvents(filteredLogEvents.filter(d => id == "hosts" ? d.displayHost == value : d.fields[app.field] == value));
+}
+
+// Cell of the adjacency matrix under the mouse: the events of the host with a parent at the other host and these parents
+function linkHostPair(host, parentHost) {
+  let events = [];
+  filteredLogEvents.forEach(d => {
+    if(d.displayHost != host) return;
+    let parents = d.happenedBefore.filter(parent => parent.event.displayHost == parentHost);
+    if(parents.length > 0) {
+      events.push(d);
+      parents.forEach(parent => events.push(graph.getNode(parent.event)));
+    }
+  });
+  setLinkedHighlight(getLinkedHighlight(events, [host + ";" + parentHost]));
+}
+
+
+/*
+ * Host names
+ */
+
+// Rename rules and grouping of the host menu (returns false if they are invalid)
+function readHostMapping() {
+  try {
+    app.hostMapping = new HostMapping({ rules: HostMapping.parseRules($("#host-rules-input").val()), grouping: getHostGrouping() });
+  } catch(exception) {
+    UIkit.notification(exception.getHTMLMessage(), { status: "danger" });
+    return false;
+  }
+  return true;
+}
+
+// Set the display names of the events of the selected execution and list its host groups
+function applyHostMapping() {
+  app.hostMapping.setHosts(graph.hosts);
+  // All events (views refer to collapsed events as parents, see ModelGraph.collapseLocalEvents) and merged nodes
+  app.hostMapping.apply(graph.data);
+  if(graph.collapsedData) {
+    app.hostMapping.apply(graph.collapsedData.filter(d => d instanceof ModelNode));
+  }
+  app.filter.hosts = [];
+
+  let list = $("#host-group-list").empty();
+  app.hostMapping.getGroups().forEach(group => {
+    let checkbox = $('<input class="uk-checkbox host-group-checkbox" type="checkbox">')
+        .attr("data-group", group)
+        .prop("checked", app.hostMapping.isExpanded(group));
+    let label = group + " (" + app.hostMapping.getGroupHosts(group).length + " hosts)";
+    list.append($("<li>").append($("<label>").append(checkbox, " ", $("<span>").text(label))));
+  });
+  $("#host-groups").attr("hidden", app.hostMapping.getGroups().length == 0);
+}
+
+// Redraw all views with other host names (the host filter is reset)
+function updateHostMapping() {
+  applyHostMapping();
+  hostDistributionChart.dataAll = countEventsPerHost(logEvents);
+  filterData();
+}
+
 function showNumberOfResults() {
   if(filteredLogEvents.length == logEvents.length) {
     $("#number-of-events").html(logEvents.length + " results");
@@ -199,29 +749,15 @@ function showNumberOfResults() {
 }
 
 function updateViews() {
-  timeline.dataAll = logEvents;
+  timeline.dataAll = ModelGraph.getLogEvents(logEvents);
   //timeline.wrangleDataAndUpdateScales();
 
   // Count all events per host
-  let totalEventsPerHost = d3.nest()
-      .key(d => d.host)
-      .rollup(v => v.length)
-      .entries(logEvents);
-
-  hostDistributionChart.dataAll = totalEventsPerHost;
-
-  // Count all events per action (if available)
-  if(logEvents[0].fields.action) {
-    $("#action-distribution").fadeIn();
-    let totalEventsPerActionType = d3.nest()
-        .key(d => d.fields.action)
-        .rollup(v => v.length)
-        .entries(logEvents)
-        .sort((a,b) => d3.descending(a.value, b.value));
-
-    actionDistributionChart.dataAll = totalEventsPerActionType;
-  } else {
-    $("#action-distribution").hide();
+  hostDistributionChart.dataAll = countEventsPerHost(logEvents);
+
+  // Count all events per value of the selected field (if available)
+  if(app.field) {
+    fieldDistributionChart.dataAll = countEventsPerValue(logEvents);
   }
 
   updateSelectionViews();
@@ -230,7 +766,7 @@ function updateViews() {
 
 function updateSelectionViews() {
   // Draw vis
-  timeline.data = filteredLogEvents;
+  timeline.data = ModelGraph.getLogEvents(filteredLogEvents);
   timeline.wrangleDataAndUpdateScales();
 
   temporalHeatmap.data = filteredLogEvents;
@@ -244,30 +780,43 @@ function updateSelectionViews() {
   dag.wrangleDataAndUpdateScales();
 
   // Count events per host
-  let eventsPerHost = d3.nest()
-      .key(d => d.host)
-      .rollup(v => v.length)
-      .entries(filteredLogEvents);
-
-  hostDistributionChart.data = eventsPerHost;
+  hostDistributionChart.data = countEventsPerHost(filteredLogEvents);
   hostDistributionChart.wrangleDataAndUpdateScales();
 
-  // Count events per action
-  if(filteredLogEvents.length > 0 && filteredLogEvents[0].fields.action) {
-    $("#action-distribution").fadeIn();
-    let eventsPerActionType = d3.nest()
-        .key(d => d.fields.action)
-        .rollup(v => v.length)
-        .entries(filteredLogEvents)
-        .sort((a,b) => d3.descending(a.value, b.value));
-
-    actionDistributionChart.data = eventsPerActionType;
-    actionDistributionChart.wrangleDataAndUpdateScales();
+  // Count events per value of the selected field
+  if(app.field) {
+    $("#field-distribution").fadeIn();
+    let charted = new Set(fieldDistributionChart.dataAll.map(d => d.key));
+    fieldDistributionChart.data = countEventsPerValue(filteredLogEvents).filter(d => charted.has(d.key));
+    fieldDistributionChart.wrangleDataAndUpdateScales();
   } else {
-    $("#action-distribution").hide();
+    $("#field-distribution").hide();
   }
 }
 
+// Merged nodes count as their number of events
+function countEvents(nodes) {
+  return d3.sum(nodes, d => d instanceof ModelNode ? d.getLogEventCount() : 1);
+}
+
+// Hosts with the same display name (e.g., a group) are counted together
+function countEventsPerHost(events) {
+  return d3.nest()
+      .key(d => d.displayHost)
+      .rollup(countEvents)
+      .entries(events);
+}
+
+// Most frequent values of the selected field (events without the field are not counted)
+function countEventsPerValue(events) {
+  return d3.nest()
+      .key(d => d.fields[app.field])
+      .rollup(countEvents)
+      .entries(events.filter(d => d.fields[app.field] != undefined))
+      .sort((a,b) => d3.descending(a.value, b.value))
+      .slice(0, maxFieldValues);
+}
+
 // Redraw all views (e.g, after window resize)
 function redrawViews() {
   views.forEach(view => {
@@ -276,6 +825,48 @@ function redrawViews() {
 }
 
 
+/*
+ * Export
+ */
+
+// Write filtered events to a log file that can be loaded in ShiViz
+function exportData(mode) {
+  let events = ModelGraph.getLogEvents(filteredLogEvents);
+
+  // Recompute vector clocks to keep the exported subset causally consistent
+  let projector = $("#export-projection").is(":checked") ? new ClockProjector(events) : null;
+
+  let exporter = new LogExporter({
+    parser: app.parser,
+    clockDecoder: ClockDecoder.get(app.clockFormat),
+    projector: projector,
+    timeField: app.timeParser.config.field
+  });
+  let content;
+
+  // Traces don't have log lines, and JSON lines have no parser regex for the header of a ShiViz log
+  if(mode == "original" && app.format != "trace" && app.format != "json") {
+    // Log files are read again (the log is not kept in memory)
+    content = typeof app.log == "string" ? exporter.exportOriginalLines(events, app.log)
+        : exporter.exportOriginalLinesFromFiles(events, app.log);
+  } else {
+    content = exporter.exportSerialized(events);
+  }
+
+  let filename = (selectedExample ? selectedExample.filename : (typeof app.log == "string" ? "log" : app.log[0].name))
+      .replace(/(\.log|\.jsonl)?(\.gz)?$/, "") + "-filtered.log";
+  Promise.resolve(content).then(content => downloadFile(content, filename));
+}
+
+function downloadFile(content, filename) {
+  let url = URL.createObjectURL(new Blob([content], { type: "text/plain" }));
+  let link = $("<a>").attr({ href: url, download: filename }).appendTo("body");
+  link[0].click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+
 /*
  * Search
  */
@@ -326,9 +917,156 @@ $("ul#examples-list").on("click", "li", function(){
   selectExample($(this).attr("data-log"));
 });
 
-// Switch tab and visualize results
+// Update regex preview while typing
+$("#parser-input, #log-input").on("input", function() {
+  if(this.previewTO) clearTimeout(this.previewTO);
+  this.previewTO = setTimeout(updateParserPreview, 300);
+});
+
+// Log files
+$("#open-log-file").on("click", function(e) {
+  e.preventDefault();
+  $("#log-file-input").click();
+});
+
+$("#log-file-input").on("change", function() {
+  if(this.files.length > 0) {
+    openLogFiles(Array.from(this.files));
+  }
+  this.value = "";
+});
+
+$("#close-log-file").on("click", function(e) {
+  e.preventDefault();
+  closeLogFiles();
+});
+
+$("#log-input").on("dragover", function(e) {
+  e.preventDefault();
+  $(this).addClass("drag-over");
+}).on("dragleave", function() {
+  $(this).removeClass("drag-over");
+}).on("drop", function(e) {
+  e.preventDefault();
+  $(this).removeClass("drag-over");
+  let files = e.originalEvent.dataTransfer.files;
+  if(files.length > 0) {
+    openLogFiles(Array.from(files));
+  }
+});
+
+// Format detection
+$("#detect-format").on("click", function(e) {
+  e.preventDefault();
+  detectFormat();
+});
+
+$("#accept-format").on("click", acceptFormat);
+
+$("#dismiss-format").on("click", function() {
+  $("#format-proposal").attr("hidden", true);
+});
+
+$("#log-format-select").on("change", function() {
+  setLogFormat($(this).val());
+});
+
+// Date strings have a format, epochs have a unit
+$("#time-unit-select").on("change", function() {
+  $("#time-format-input").prop("disabled", $(this).val() != "");
+});
+
+// Parser report
+$("#parse-report-list").on("click", ".log-line-link", function(e) {
+  e.preventDefault();
+  showLogLine(parseInt($(this).attr("data-line")));
+});
+
+$("#parse-report-list").on("click", "#highlight-violations", function(e) {
+  e.preventDefault();
+  setViolationHighlight(true);
+  UIkit.switcher("#primary-nav .uk-nav").show(1);
+});
+
+$("#causal-path-mode").on("change", function() {
+  app.causalPathMode = $(this).is(":checked");
+  if(!app.causalPathMode && app.causalPath) {
+    removeCausalPath();
+  }
+});
+
+$("#remove-causal-path").on("click", function(e) {
+  e.preventDefault();
+  removeCausalPath();
+});
+
+$("#collapse-local-events").on("change", function() {
+  selectExecution($("#execution-select").val());
+});
+
+$("#violation-highlight").on("change", function() {
+  setViolationHighlight($(this).is(":checked"));
+});
+
+$("#parse-report-link").on("click", function(e) {
+  e.preventDefault();
+  UIkit.switcher("#primary-nav .uk-nav").show(0);
+});
+
+// Field of the value chart (the value filter is reset)
+$("#field-select").on("change", function() {
+  app.field = $(this).val();
+  app.filter.values = [];
+  fieldDistributionChart.dataAll = countEventsPerValue(logEvents);
+  filterData();
+});
+
+// Host menu
+$("#host-grouping-select").on("change", function() {
+  $("#host-grouping-input").prop("disabled", $(this).val() != "custom");
+});
+
+$("#apply-host-mapping").on("click", function() {
+  if(readHostMapping() && graph) {
+    updateHostMapping();
+  }
+});
+
+$("#host-group-list").on("change", ".host-group-checkbox", function() {
+  app.hostMapping.setExpanded($(this).attr("data-group"), $(this).is(":checked"));
+  updateHostMapping();
+});
+
+// Causal cone filter
+$("#causal-filter-direction").on("change", function() {
+  setCausalFilter(app.filter.causal.event, $(this).val());
+});
+
+$("#remove-causal-filter").on("click", function(e) {
+  e.preventDefault();
+  removeCausalFilter();
+});
+
+// Export filtered events
+$(".export-link").on("click", function(e) {
+  e.preventDefault();
+  UIkit.dropdown($(this).closest("[uk-dropdown]")).hide(false);
+  exportData($(this).attr("data-mode"));
+});
+
+// User switched to another execution of the log
+$("#execution-select").on("change", function() {
+  selectExecution($(this).val());
+});
+
+// Parse log and visualize results
 $("#visualize").on("click", function() {
-  $("#vis-tab").removeClass("uk-hidden");
   parseData();
 });
 
+// Stop parsing a (large) log
+$("#cancel-parsing").on("click", function() {
+  backgroundParser.cancel();
+  $("#parse-progress-container").attr("hidden", true);
+});
+
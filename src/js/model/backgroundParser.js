@@ -0,0 +1,83 @@
+/*
+ * Runs LogParser and ModelGraph in a web worker (see src/worker) and restores the results on the UI thread.
+ * Callbacks: onProgress(progress), onDone(labels, graphs, report), onError(exception)
+ */
+class BackgroundParser {
+
+  constructor(_config) {
+    this.config = {
+      workerPath: _config.workerPath,
+      onProgress: _config.onProgress,
+      onDone: _config.onDone,
+      onError: _config.onError
+    }
+  }
+
+  // The log is a string or an array of Files (read in chunks and merged by the worker)
+  // Options: format ("regex", "json" for JSON lines with a JsonMapping as parser or "trace" for Jaeger/OTLP traces
+  // with the host granularity of TraceImporter as parser), clockFormat (see ClockDecoder), fieldSeparators (see FieldExtractor),
+  // lenient (skip invalid events), time (TimeParser configuration), ordering (see ModelGraph)
+  parse(log, parser, delimiter, options) {
+    let backgroundParser = this;
+
+    backgroundParser.cancel();
+
+    backgroundParser.worker = new Worker(backgroundParser.config.workerPath);
+    backgroundParser.worker.onmessage = e => backgroundParser.handleMessage(e.data);
+    backgroundParser.worker.onerror = e => {
+      backgroundParser.cancel();
+      backgroundParser.config.onError(new Exception(e.message));
+    };
+
+    backgroundParser.worker.postMessage({ log: log, parser: parser, delimiter: delimiter, format: options.format, clockFormat: options.clockFormat, fieldSeparators: options.fieldSeparators, lenient: options.lenient, time: options.time, ordering: options.ordering });
+  }
+
+  cancel() {
+    if(this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  isRunning() {
+    return !!this.worker;
+  }
+
+  handleMessage(message) {
+    let backgroundParser = this;
+
+    if(message.type == "progress") {
+      backgroundParser.config.onProgress(message);
+    } else if(message.type == "done") {
+      backgroundParser.cancel();
+      for(let label in message.graphs) {
+        backgroundParser.restoreGraph(message.graphs[label]);
+      }
+      message.report.errors.forEach(d => Object.setPrototypeOf(d.exception, Exception.prototype));
+      backgroundParser.config.onDone(message.labels, message.graphs, message.report);
+    } else if(message.type == "error") {
+      backgroundParser.cancel();
+      backgroundParser.config.onError(Object.setPrototypeOf(message.exception, Exception.prototype));
+    }
+  }
+
+  // Objects sent by a worker lose their prototypes (structured clone), references between them are kept
+  restoreGraph(graph) {
+    Object.setPrototypeOf(graph, ModelGraph.prototype);
+
+    let eventsById = new Map(graph.data.map(d => [d.id, d]));
+    graph.data.forEach(d => {
+      Object.setPrototypeOf(d, LogEvent.prototype);
+      Object.setPrototypeOf(d.vectorTimestamp, VectorTimestamp.prototype);
+      d.happenedBefore.forEach(parent => parent.event = eventsById.get(parent.event));
+    });
+  }
+
+  // Called in the worker before a graph is sent: structured clone follows references recursively, so long
+  // chains of causal parents would exceed the call stack. Parents are therefore sent as event ids.
+  static prepareGraph(graph) {
+    graph.data.forEach(d => {
+      d.happenedBefore.forEach(parent => parent.event = parent.event.id);
+    });
+  }
+}
@@ -0,0 +1,256 @@
+/*
+ * Converts the text of the clock capture group to a vector clock object { host: value } (see VectorTimestamp).
+ * Decoders are registered by name, so the parse form can offer all of them. Built-in decoders: strict JSON,
+ * relaxed JSON ({a:1, b:2}), key-value pairs (a=1,b=2) and base64-encoded msgpack as used by GoVector.
+ * Each decoder can also encode a clock, so that exported logs keep their clock format.
+ */
+class ClockDecoder {
+
+  constructor(_config) {
+    this.config = {
+      name: _config.name,
+      title: _config.title,
+      // Clock of the hosts a and b in this format
+      example: _config.example,
+      // Function text => clock (may throw an Exception or an Error)
+      decode: _config.decode,
+      // Function clock => text
+      encode: _config.encode
+    }
+  }
+
+  decode(text) {
+    let clock;
+    try {
+      clock = this.config.decode(text.trim());
+    } catch(error) {
+      throw error instanceof Exception ? error : new Exception(error.toString());
+    }
+
+    if(clock == null || typeof clock != "object" || Array.isArray(clock)) {
+      throw new Exception("The clock is not a mapping of hosts to clock values.");
+    }
+    return clock;
+  }
+
+  encode(clock) {
+    return this.config.encode(clock);
+  }
+
+  static register(decoder) {
+    ClockDecoder.decoders.set(decoder.config.name, decoder);
+  }
+
+  static get(name) {
+    if(!ClockDecoder.decoders.has(name)) {
+      throw new Exception("Unknown clock format \"" + name + "\". Use one of: " + Array.from(ClockDecoder.decoders.keys()).join(", "), true);
+    }
+    return ClockDecoder.decoders.get(name);
+  }
+
+  static getAll() {
+    return Array.from(ClockDecoder.decoders.values());
+  }
+
+  // Pairs of host and clock value, e.g. a:1, 'b': 2 (separator ":") or a=1 b=2 (separator "=")
+  static decodePairs(text, separator) {
+    let clock = {};
+    let inner = text.replace(/^[{\[(]\s*/, "").replace(/\s*[}\])]$/, "");
+    let pair = new RegExp("\\s*(\"(?:[^\"\\\\]|\\\\.)*\"|'(?:[^'\\\\]|\\\\.)*'|[^\\s" + separator + ",;'\"]+)\\s*" + separator + "\\s*(\\d+)\\s*([,;]|\\s+|$)", "y");
+
+    while(pair.lastIndex < inner.length) {
+      let start = pair.lastIndex;
+      let match = pair.exec(inner);
+      if(!match) {
+        throw new Exception("Expected host" + separator + "value at \"" + inner.substring(start, start + 20) + "\"");
+      }
+
+      let host = match[1];
+      if(host.startsWith("\"")) {
+        host = JSON.parse(host);
+      } else if(host.startsWith("'")) {
+        host = host.substring(1, host.length - 1).replace(/\\(.)/g, "$1");
+      }
+      clock[host] = Number(match[2]);
+    }
+
+    return clock;
+  }
+
+  static decodeBase64(text) {
+    let base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    let binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+    return Uint8Array.from(binary, d => d.charCodeAt(0));
+  }
+
+  static encodeBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  // Subset of msgpack (no extension types)
+  static decodeMsgpack(bytes) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let decoder = new TextDecoder();
+    let offset = 0;
+
+    let take = length => {
+      if(offset + length > bytes.length) throw new Exception("Unexpected end of msgpack data");
+      offset += length;
+      return offset - length;
+    };
+    let string = length => decoder.decode(bytes.subarray(take(length), offset));
+    let array = length => Array.from({ length: length }, () => read());
+    let map = length => {
+      let result = {};
+      for(let i = 0; i < length; i++) {
+        let key = read();
+        result[key] = read();
+      }
+      return result;
+    };
+
+    let read = () => {
+      let type = bytes[take(1)];
+
+      if(type <= 0x7f) return type;
+      if(type >= 0xe0) return type - 0x100;
+      if(type >= 0x80 && type <= 0x8f) return map(type & 0x0f);
+      if(type >= 0x90 && type <= 0x9f) return array(type & 0x0f);
+      if(type >= 0xa0 && type <= 0xbf) return string(type & 0x1f);
+
+      switch(type) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return bytes.slice(take(view.getUint8(take(1))), offset);
+        case 0xc5: return bytes.slice(take(view.getUint16(take(2))), offset);
+        case 0xc6: return bytes.slice(take(view.getUint32(take(4))), offset);
+        case 0xca: return view.getFloat32(take(4));
+        case 0xcb: return view.getFloat64(take(8));
+        case 0xcc: return view.getUint8(take(1));
+        case 0xcd: return view.getUint16(take(2));
+        case 0xce: return view.getUint32(take(4));
+        case 0xcf: return Number(view.getBigUint64(take(8)));
+        case 0xd0: return view.getInt8(take(1));
+        case 0xd1: return view.getInt16(take(2));
+        case 0xd2: return view.getInt32(take(4));
+        case 0xd3: return Number(view.getBigInt64(take(8)));
+        case 0xd9: return string(view.getUint8(take(1)));
+        case 0xda: return string(view.getUint16(take(2)));
+        case 0xdb: return string(view.getUint32(take(4)));
+        case 0xdc: return array(view.getUint16(take(2)));
+        case 0xdd: return array(view.getUint32(take(4)));
+        case 0xde: return map(view.getUint16(take(2)));
+        case 0xdf: return map(view.getUint32(take(4)));
+      }
+      throw new Exception("Unsupported msgpack type 0x" + type.toString(16));
+    };
+
+    let value = read();
+    if(offset < bytes.length) {
+      throw new Exception("Unexpected data after the msgpack value");
+    }
+    return value;
+  }
+
+  // Map of strings to unsigned integers
+  static encodeMsgpack(clock) {
+    let bytes = [];
+    let encoder = new TextEncoder();
+    let hosts = Object.keys(clock);
+
+    let pushNumber = (value, length) => {
+      for(let i = length - 1; i >= 0; i--) {
+        bytes.push(Number((BigInt(value) >> BigInt(8 * i)) & 0xffn));
+      }
+    };
+
+    if(hosts.length < 16) {
+      bytes.push(0x80 | hosts.length);
+    } else {
+      bytes.push(0xde);
+      pushNumber(hosts.length, 2);
+    }
+
+    hosts.forEach(host => {
+      let name = encoder.encode(host);
+      if(name.length < 32) {
+        bytes.push(0xa0 | name.length);
+      } else {
+        bytes.push(0xd9);
+        pushNumber(name.length, 1);
+      }
+      name.forEach(d => bytes.push(d));
+
+      let value = clock[host];
+      if(value <= 0x7f) {
+        bytes.push(value);
+      } else if(value <= 0xffff) {
+        bytes.push(0xcd);
+        pushNumber(value, 2);
+      } else if(value <= 0xffffffff) {
+        bytes.push(0xce);
+        pushNumber(value, 4);
+      } else {
+        bytes.push(0xcf);
+        pushNumber(value, 8);
+      }
+    });
+
+    return Uint8Array.from(bytes);
+  }
+
+  // GoVector encodes the clock as map or as part of a message ({ Pid, Payload, VcMap })
+  static findClock(value) {
+    if(value == null || typeof value != "object" || value instanceof Uint8Array) return null;
+
+    let values = Object.values(value);
+    if(!Array.isArray(value) && values.length > 0 && values.every(d => Number.isInteger(d) && d >= 0)) {
+      return value;
+    }
+
+    for(let d of values) {
+      let clock = ClockDecoder.findClock(d);
+      if(clock) return clock;
+    }
+    return null;
+  }
+}
+
+ClockDecoder.decoders = new Map();
+
+ClockDecoder.register(new ClockDecoder({
+  name: "json",
+  title: "JSON",
+  example: "{\"a\":1, \"b\":2}",
+  decode: text => JSON.parse(text),
+  encode: clock => JSON.stringify(clock)
+}));
+
+ClockDecoder.register(new ClockDecoder({
+  name: "relaxed",
+  title: "Relaxed JSON",
+  example: "{a:1, b:2}",
+  decode: text => ClockDecoder.decodePairs(text, ":"),
+  encode: clock => "{" + Object.keys(clock).map(host => (/^[\w.-]+$/.test(host) ? host : JSON.stringify(host)) + ":" + clock[host]).join(", ") + "}"
+}));
+
+ClockDecoder.register(new ClockDecoder({
+  name: "keyvalue",
+  title: "Key-value pairs",
+  example: "a=1,b=2",
+  decode: text => ClockDecoder.decodePairs(text, "="),
+  encode: clock => Object.keys(clock).map(host => host + "=" + clock[host]).join(",")
+}));
+
+ClockDecoder.register(new ClockDecoder({
+  name: "govector",
+  title: "GoVector (base64 msgpack)",
+  example: "gqFhAaFiAg==",
+  decode: text => {
+    let clock = ClockDecoder.findClock(ClockDecoder.decodeMsgpack(ClockDecoder.decodeBase64(text)));
+    if(!clock) throw new Exception("The msgpack data does not contain a vector clock");
+    return clock;
+  },
+  encode: clock => ClockDecoder.encodeBase64(ClockDecoder.encodeMsgpack(clock))
+}));
@@ -0,0 +1,59 @@
+/*
+ * Recomputes vector clocks for a subset of log events (e.g., filtered events before an export).
+ * The projected clocks only contain entries for the remaining hosts and count the remaining events,
+ * but every happened-before relationship between two remaining events is preserved - also if it
+ * was established through events that are not part of the subset.
+ */
+class ClockProjector {
+
+  constructor(events) {
+    this.events = events;
+    this.initProjection();
+  }
+
+  initProjection() {
+    let projector = this;
+
+    // Sorted own clock values of the remaining events per host
+    projector.ownTimes = {};
+    projector.events.forEach(d => {
+      if(!(d.host in projector.ownTimes)) {
+        projector.ownTimes[d.host] = [];
+      }
+      projector.ownTimes[d.host].push(d.vectorTimestamp.getOwnTime());
+    });
+
+    for(let host in projector.ownTimes) {
+      projector.ownTimes[host].sort(d3.ascending);
+    }
+
+    // Projected vector timestamps (key: event id)
+    projector.timestamps = {};
+    projector.events.forEach(d => {
+      projector.timestamps[d.id] = projector.projectTimestamp(d.vectorTimestamp);
+    });
+  }
+
+  // An event x at host k happened before e if x's own time <= e's clock value for k.
+  // The new clock value for k is therefore the number of remaining events at k that happened before e.
+  projectTimestamp(vectorTimestamp) {
+    let projector = this;
+    let clock = vectorTimestamp.getClock();
+    let projectedClock = {};
+
+    for(let host in projector.ownTimes) {
+      if(clock[host] == undefined) continue;
+
+      let count = d3.bisectRight(projector.ownTimes[host], clock[host]);
+      if(count > 0) {
+        projectedClock[host] = count;
+      }
+    }
+
+    return new VectorTimestamp(projectedClock, vectorTimestamp.getOwnHost());
+  }
+
+  getTimestamp(event) {
+    return this.timestamps[event.id];
+  }
+}
@@ -0,0 +1,101 @@
+/*
+ * Checks the vector clocks of a ModelGraph for inconsistencies, which are usually caused by buggy instrumentation.
+ * ModelGraph silently draws no edge for a clock value that doesn't resolve to an event, so most of these problems
+ * are not visible in the DAG. Each event is compared with the previous event of its host:
+ * - "own-time": the own clock value of the host does not increase
+ * - "backwards": the clock value of another host is lower than before
+ * - "missing-reference": the clock value of another host increased, but no event of that host has this value
+ * - "unmatched-receive": the clock value of another host increased (a receive), but the clock of the send
+ *   (the event with this value) is not contained in the clock of the receive
+ */
+class ClockValidator {
+
+  constructor(graph) {
+    this.graph = graph;
+  }
+
+  // Returns { count, violations } with violations { type, host, lineNum, file, event (id), message, related }
+  // in the order of the events of each host (related: { lineNum, file } of the other event, if any).
+  // Only the first MAX_VIOLATIONS are listed.
+  validate() {
+    let validator = this;
+    let graph = validator.graph;
+    let result = { count: 0, violations: [] };
+
+    for(let host in graph.events) {
+      graph.events[host].forEach((d,index) => {
+        validator.checkEvent(d, index > 0 ? graph.events[host][index-1] : null).forEach(violation => {
+          result.count++;
+          if(result.violations.length < ClockValidator.MAX_VIOLATIONS) {
+            result.violations.push(violation);
+          }
+        });
+      });
+    }
+
+    return result;
+  }
+
+  checkEvent(event, prevEvent) {
+    let graph = this.graph;
+    let violations = [];
+
+    // Hosts that are not part of a clock have the value 0 (see VectorTimestamp)
+    let clock = event.vectorTimestamp.clock;
+    let prevClock = prevEvent ? prevEvent.vectorTimestamp.clock : {};
+
+    const add = (type, message, related) => {
+      violations.push({
+        type: type,
+        host: event.host,
+        lineNum: event.lineNum,
+        file: event.file,
+        event: event.id,
+        message: message,
+        related: related ? { lineNum: related.lineNum, file: related.file } : null
+      });
+    };
+
+    if(prevEvent && !(event.vectorTimestamp.getOwnTime() > prevEvent.vectorTimestamp.getOwnTime())) {
+      add("own-time", "Own clock value " + event.vectorTimestamp.getOwnTime() + " of host " + event.host
+          + " does not increase (previous event: " + prevEvent.vectorTimestamp.getOwnTime() + ")", prevEvent);
+    }
+
+    for(let host in prevClock) {
+      if(host != event.host && !((clock[host] || 0) >= prevClock[host])) {
+        add("backwards", "Clock value of host " + host + " moves backwards from " + prevClock[host] + " to " + (clock[host] || 0), prevEvent);
+      }
+    }
+
+    for(let host in clock) {
+      if(host == event.host || !(clock[host] > (prevClock[host] || 0))) continue;
+
+      let sendEvent = graph.getEventByClockValue(host, clock[host]);
+      if(!sendEvent) {
+        add("missing-reference", host in graph.events
+            ? "Clock refers to " + host + ":" + clock[host] + ", but no event of host " + host + " has this clock value"
+            : "Clock refers to host " + host + ", which has no events in this execution");
+        continue;
+      }
+
+      let sendClock = sendEvent.vectorTimestamp.clock;
+      let aheadHosts = Object.keys(sendClock).filter(d => !((clock[d] || 0) >= sendClock[d]));
+      if(aheadHosts.length > 0) {
+        add("unmatched-receive", "Receive from " + host + ":" + clock[host] + " does not contain the clock of the send"
+            + " (higher values for " + aheadHosts.join(", ") + ")", sendEvent);
+      }
+    }
+
+    return violations;
+  }
+}
+
+// Maximum number of violations that are listed per graph (all are counted)
+ClockValidator.MAX_VIOLATIONS = 10000;
+
+ClockValidator.TYPES = {
+  "own-time": "Own clock value does not increase",
+  "backwards": "Clock moves backwards",
+  "missing-reference": "Reference to a missing event",
+  "unmatched-receive": "Receive without a matching send"
+};
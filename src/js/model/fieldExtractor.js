@@ -0,0 +1,74 @@
+/*
+ * Extracts key=value (and optionally key: value) pairs from the text of events into their fields, so that values
+ * that are embedded in log messages (e.g., "GET /timeline uid=alice location=kansas") can be searched, filtered
+ * and charted like captured fields. Values can be quoted ("a b", 'a b' or “a b”). Fields that already exist
+ * (e.g., named capture groups of the parser) are not overwritten.
+ */
+class FieldExtractor {
+
+  constructor(_config) {
+    this.config = {
+      // Characters between key and value: "=" for key=value, ":" for key: value (a space has to follow the colon)
+      separators: _config.separators || "="
+    }
+
+    let separators = [];
+    if(this.config.separators.includes("=")) separators.push("=");
+    if(this.config.separators.includes(":")) separators.push(":[ \\t]+");
+
+    if(separators.length == 0) {
+      throw new Exception("Field extraction needs the separator \"=\", \":\" or both.", true);
+    }
+
+    // Key at the start of the text or after a space or delimiter, value until the next space or delimiter
+    // (unquoted values don't start with brackets, e.g. "received: [1, 2]" is no pair)
+    this.regexp = new RegExp("(?:^|[\\s,;(\\[{])([A-Za-z_][\\w.-]*)(?:" + separators.join("|") + ")"
+        + "(\"(?:[^\"\\\\]|\\\\.)*\"|'[^']*'|“[^”]*”|[^\\s,;=(\\[{)\\]}][^\\s,;)\\]}]*)", "g");
+  }
+
+  // Pairs in the order of the text (the first value of a key is used)
+  extract(text) {
+    let fields = {};
+    let match;
+
+    this.regexp.lastIndex = 0;
+    while(match = this.regexp.exec(text)) {
+      let key = match[1];
+      if(!(key in fields) && !FieldExtractor.RESERVED_KEYS.includes(key)) {
+        fields[key] = FieldExtractor.unquote(match[2]);
+      }
+    }
+
+    return fields;
+  }
+
+  static unquote(value) {
+    if(value.length < 2) return value;
+
+    if(value.startsWith("\"")) {
+      try {
+        return JSON.parse(value);
+      } catch(error) {
+        return value.substring(1, value.length - 1);
+      }
+    } else if(value.startsWith("'") || value.startsWith("“")) {
+      return value.substring(1, value.length - 1);
+    }
+    return value;
+  }
+
+  // Adds the extracted fields to the fields of the events
+  apply(events) {
+    events.forEach(d => {
+      let fields = this.extract(d.text);
+      for(let key in fields) {
+        if(!(key in d.fields)) {
+          d.fields[key] = fields[key];
+        }
+      }
+    });
+  }
+}
+
+// Names that are used by the parser and the views
+FieldExtractor.RESERVED_KEYS = ["host", "clock", "event", "time_numeric"];
@@ -0,0 +1,398 @@
+/*
+ * Proposes a parser regex for a log by trying known parsers (e.g., those of the bundled examples)
+ * and a few heuristics: a line with a host and a JSON vector clock, which precedes or follows the
+ * event line (or is embedded in it), and leading fields such as IP addresses, timestamps and log levels.
+ * Logs with one JSON object per line result in a JSON mapping (format "json", see JsonMapping), Jaeger and
+ * OpenTelemetry traces in the format "trace" (see TraceImporter).
+ */
+class FormatDetector {
+
+  constructor(_config) {
+    this.config = {
+      // Known parsers [{ title, parser }] that are tried first
+      knownParsers: _config.knownParsers || [],
+      // Number of non-empty lines that are examined
+      sampleSize: _config.sampleSize || 200,
+      // Minimum share of sample lines that a proposal must cover
+      minCoverage: _config.minCoverage || 0.5
+    }
+
+    // Recognized leading fields of an event line (tried in this order)
+    this.leadingFields = [
+      { name: "ip", pattern: "(\\d{1,3}\\.){3}\\d{1,3}" },
+      { name: "date", pattern: "\\d{4}-\\d{2}-\\d{2}[ T]\\d{2}:\\d{2}:\\d{2}([.,]\\d+)?(Z|[+-]\\d{2}:?\\d{2})?" },
+      { name: "date", pattern: "\\d{1,2}/\\d{1,2}/\\d{4} \\d{1,2}:\\d{2}:\\d{2}([.,]\\d+)?( (AM|PM))?" },
+      { name: "timestamp", pattern: "\\d{10,19}" },
+      { name: "priority", pattern: "(TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL)" }
+    ];
+
+    // Property names of event texts and of times in JSON logs (tried in this order)
+    this.jsonEventNames = ["event", "message", "msg", "text", "description", "body"];
+    this.jsonTimeNames = ["timestamp", "time", "ts", "@timestamp", "date", "datetime"];
+
+    this.clockLine = /^(\S+) (\{.*\})\s*$/;
+    this.embeddedClock = /(\{\s*"[^"]+"\s*:\s*\d+[^}]*\})/;
+  }
+
+  // Returns the best proposal { title, format, parser, coverage, matches, groups } or null
+  detect(log) {
+    let detector = this;
+
+    let candidates = detector.getCandidates(log);
+    return candidates.length > 0 ? candidates[0] : null;
+  }
+
+  // All proposals that cover enough of the sample, best first
+  getCandidates(log) {
+    let detector = this;
+
+    // Traces are imported as a whole
+    let trace = detector.detectTrace(log);
+    if(trace) return [trace];
+
+    let lines = detector.getSampleLines(log);
+    if(lines.length == 0) return [];
+    let sample = lines.join("\n");
+
+    let candidates = detector.config.knownParsers.map(d => ({ title: d.title, format: d.format || "regex", parser: d.parser, known: true }))
+        .concat(detector.inferParsers(lines), detector.inferJsonMappings(lines));
+
+    // Remove duplicates (e.g., a heuristic that results in the parser of an example)
+    candidates = candidates.filter((d,i) => candidates.findIndex(c => c.parser == d.parser) == i);
+
+    candidates.forEach(d => {
+      if(d.format == "json") {
+        detector.evaluateJson(d, sample, lines.length);
+      } else {
+        detector.evaluate(d, sample, lines.length);
+      }
+    });
+
+    return candidates
+        .filter(d => d.coverage >= detector.config.minCoverage)
+        .sort((a,b) => d3.descending(a.coverage, b.coverage)
+            || d3.descending(a.known, b.known)
+            || d3.descending(a.groups.length, b.groups.length));
+  }
+
+  // First non-empty lines of the log (without splitting the whole log)
+  getSampleLines(log) {
+    let lines = [];
+    let start = log.search(/\S/);
+    while(start >= 0 && start < log.length && lines.length < this.config.sampleSize) {
+      let end = log.indexOf("\n", start);
+      if(end < 0) end = log.length;
+      let line = log.substring(start, end).replace(/\r$/, "");
+      if(line.trim().length > 0) {
+        lines.push(line);
+      }
+      start = end + 1;
+    }
+    return lines;
+  }
+
+  // Heuristic parsers for the sample lines
+  inferParsers(lines) {
+    let detector = this;
+    let parsers = [];
+
+    // Two-line layout: one line with host and vector clock per event
+    let isClockLine = lines.map(line => detector.parseClockLine(line) != null);
+    let clockLines = isClockLine.filter(d => d).length;
+
+    if(clockLines > 0 && clockLines < lines.length) {
+      let clockFirst = isClockLine[0];
+      let eventLines = lines.filter((d,i) => !isClockLine[i]);
+      let eventPart = detector.inferLeadingFields(eventLines) + "(?<event>.*)";
+      let clockPart = "(?<host>\\S*) (?<clock>{.*})";
+
+      parsers.push({
+        title: clockFirst ? "Clock line followed by event line" : "Event line followed by clock line",
+        parser: clockFirst ? clockPart + "\\n" + eventPart : eventPart + "\\n" + clockPart,
+        format: "regex",
+        known: false
+      });
+    }
+
+    // Single-line layout: host token and vector clock within the event line
+    let embedded = lines.map(line => detector.parseEmbeddedClock(line)).filter(d => d);
+    if(embedded.length > lines.length / 2) {
+      let separator = detector.mostCommon(embedded.map(d => d.separator));
+      let leadingFields = detector.inferLeadingFields(embedded.map(d => d.line));
+
+      parsers.push({
+        title: "Host and clock within the event line",
+        parser: leadingFields + ".*?(?<host>[^\\s/\\[\\]]+)" + detector.escape(separator) + "(?<clock>{[^}]*}) ?(?<event>.*)",
+        format: "regex",
+        known: false
+      });
+    }
+
+    return parsers;
+  }
+
+  // Mapping for logs with one JSON object per line: the clock is the value that is most often a vector clock,
+  // the host the value that is most often one of the clock's hosts
+  inferJsonMappings(lines) {
+    let detector = this;
+
+    let records = lines.map(line => detector.parseRecord(line)).filter(d => d);
+    if(records.length <= lines.length / 2) return [];
+
+    // Values of each record by JSON path
+    let values = records.map(record => detector.getJsonValues(record));
+    let paths = Array.from(new Set([].concat(...values.map(d => Array.from(d.keys())))));
+
+    let mostFrequentPath = test => {
+      let counts = paths.map(path => ({ path: path, count: values.filter(d => d.has(path) && test(d.get(path), d, path)).length }));
+      let best = counts.sort((a,b) => d3.descending(a.count, b.count))[0];
+      return best.count > 0 ? best.path : null;
+    };
+
+    let clockPath = mostFrequentPath(value => detector.parseJsonClock(value) != null);
+    if(!clockPath) return [];
+
+    let hostPath = mostFrequentPath((value, d, path) => {
+      let clock = detector.parseJsonClock(d.get(clockPath));
+      return path != clockPath && (typeof value == "string" || typeof value == "number") && clock != null && String(value) in clock;
+    });
+    if(!hostPath) return [];
+
+    // Path with a known property name whose values all pass the test
+    let findPath = (names, test) => {
+      for(let name of names) {
+        let path = paths.find(path => detector.getLastKey(path) == name && path != hostPath && path != clockPath
+            && values.every(d => !d.has(path) || test(d.get(path))));
+        if(path) return path;
+      }
+      return null;
+    };
+
+    // The event text is a known property or the longest text
+    let eventPath = findPath(detector.jsonEventNames, value => typeof value == "string");
+    if(!eventPath) {
+      let texts = paths.filter(path => path != hostPath && path != clockPath && values.every(d => !d.has(path) || typeof d.get(path) == "string"));
+      let lengths = texts.map(path => ({ path: path, length: d3.mean(values, d => d.has(path) ? d.get(path).length : 0) }));
+      eventPath = lengths.length > 0 ? lengths.sort((a,b) => d3.descending(a.length, b.length))[0].path : hostPath;
+    }
+
+    // Only ISO 8601 dates can be parsed without further configuration (see TimeParser)
+    let timePath = findPath(detector.jsonTimeNames, value => typeof value == "string" && moment(value, moment.ISO_8601, true).isValid());
+
+    let mapping = { host: hostPath, clock: clockPath, event: eventPath };
+    if(timePath) {
+      mapping.time = timePath;
+    }
+
+    return [{ title: "JSON lines", format: "json", parser: JSON.stringify(mapping), known: false }];
+  }
+
+  // Jaeger or OTLP JSON (the whole log or the first line of OTLP JSON lines)
+  detectTrace(log) {
+    let detector = this;
+
+    let document;
+    try {
+      document = JSON.parse(log);
+    } catch(exception) {
+      let lines = detector.getSampleLines(log);
+      document = lines.length > 0 ? detector.parseRecord(lines[0]) : null;
+    }
+
+    let format = TraceImporter.getFormat(document);
+    if(!format) return null;
+
+    let importer = new TraceImporter({ lenient: true });
+    if(format == "jaeger") {
+      (Array.isArray(document) ? document : document.data || [document]).forEach(d => importer.addJaegerTrace(d));
+    } else {
+      importer.addOtlpSpans(document.resourceSpans);
+    }
+
+    return {
+      title: format == "jaeger" ? "Jaeger trace" : "OpenTelemetry (OTLP) trace",
+      format: "trace",
+      parser: "service",
+      coverage: 1,
+      matches: importer.spanCount,
+      groups: []
+    };
+  }
+
+  parseRecord(line) {
+    try {
+      let record = JSON.parse(line);
+      return record != null && typeof record == "object" && !Array.isArray(record) ? record : null;
+    } catch(exception) {
+      return null;
+    }
+  }
+
+  // The clock of a JSON log is an object or a string with a JSON object
+  parseJsonClock(value) {
+    return this.parseClock(typeof value == "string" ? value : JSON.stringify(value));
+  }
+
+  // Values of a record by JSON path (see JsonMapping), e.g. "process.name" or 'labels["service.name"]'
+  getJsonValues(record) {
+    let values = new Map();
+
+    let collect = (object, prefix, depth) => {
+      Object.keys(object).forEach(key => {
+        let path = /^[^.\[\]"]+$/.test(key) ? (prefix ? prefix + "." : "") + key : prefix + "[\"" + key + "\"]";
+        let value = object[key];
+        values.set(path, value);
+
+        if(depth < 3 && value != null && typeof value == "object" && !Array.isArray(value)) {
+          collect(value, path, depth + 1);
+        }
+      });
+    };
+
+    collect(record, "", 1);
+    return values;
+  }
+
+  // Lower-case name of the last property of a path
+  getLastKey(path) {
+    let match = /(?:^|\.)([^.\[\]"]+)$|\["([^"]*)"\]$/.exec(path);
+    return match ? (match[1] || match[2]).toLowerCase() : path.toLowerCase();
+  }
+
+  // Returns { host, clock } for lines like 'host {"host":1, ...}', otherwise null
+  parseClockLine(line) {
+    let match = this.clockLine.exec(line);
+    if(!match) return null;
+
+    let clock = this.parseClock(match[2]);
+    if(!clock || !(match[1] in clock)) return null;
+
+    return { host: match[1], clock: clock };
+  }
+
+  // Returns { line, separator } if the line contains a clock that is preceded by one of its hosts
+  parseEmbeddedClock(line) {
+    let match = this.embeddedClock.exec(line);
+    if(!match) return null;
+
+    let clock = this.parseClock(match[1]);
+    if(!clock) return null;
+
+    let before = /([^\s/\[\]]+)([^\w{]*)$/.exec(line.substring(0, match.index));
+    if(!before || !(before[1] in clock)) return null;
+
+    return { line: line, separator: before[2] };
+  }
+
+  parseClock(string) {
+    try {
+      let clock = JSON.parse(string);
+      if(typeof clock != "object" || clock == null || Array.isArray(clock)) return null;
+      return Object.values(clock).every(d => Number.isInteger(d)) ? clock : null;
+    } catch(exception) {
+      return null;
+    }
+  }
+
+  // Regex for the fields that most lines start with (optionally in square brackets)
+  inferLeadingFields(lines) {
+    let detector = this;
+    let regexString = "";
+    let names = [];
+    let rest = lines;
+
+    while(true) {
+      let field = detector.findLeadingField(rest, names);
+      if(!field) break;
+
+      regexString += field.regexString;
+      names.push(field.name);
+      rest = rest.map(line => line.replace(field.regexp, ""));
+    }
+
+    return regexString;
+  }
+
+  findLeadingField(lines, usedNames) {
+    let detector = this;
+    let threshold = Math.max(1, lines.length * 0.9);
+
+    for(let field of detector.leadingFields) {
+      if(usedNames.includes(field.name)) continue;
+
+      let variants = [
+        "(?<" + field.name + ">" + field.pattern + ") ",
+        "\\[(?<" + field.name + ">" + field.pattern + ")\\] ",
+        // e.g., [2013-05-24 23:28:00,637 voldemort.store.Store]
+        "\\[(?<" + field.name + ">" + field.pattern + ")[^\\]]*\\] "
+      ];
+
+      for(let regexString of variants) {
+        let regexp = new RegExp("^" + regexString);
+        if(lines.filter(line => regexp.test(line)).length >= threshold) {
+          return { name: field.name, regexString: regexString, regexp: regexp };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Share of sample lines covered by matches with a valid host and vector clock
+  evaluate(candidate, sample, lineCount) {
+    let detector = this;
+
+    candidate.coverage = 0;
+    candidate.matches = 0;
+    candidate.groups = [];
+
+    let regexp;
+    try {
+      regexp = new NamedRegExp(candidate.parser, "m");
+    } catch(exception) {
+      return;
+    }
+
+    candidate.groups = regexp.getNames();
+    if(!["host", "clock", "event"].every(d => candidate.groups.includes(d))) return;
+
+    let coveredLines = 0;
+    let match;
+    while(match = regexp.exec(sample)) {
+      if(match[0].length == 0) break;
+
+      let clock = detector.parseClock(match.clock);
+      if(clock && match.host in clock) {
+        candidate.matches++;
+        coveredLines += match[0].split("\n").length;
+      }
+    }
+
+    candidate.coverage = coveredLines / lineCount;
+  }
+
+  // Share of sample lines with a JSON object that has a host and a valid vector clock
+  evaluateJson(candidate, sample, lineCount) {
+    candidate.coverage = 0;
+    candidate.matches = 0;
+    candidate.groups = [];
+
+    try {
+      let mapping = new JsonMapping(candidate.parser);
+      let parser = new JsonExecutionParser(sample, "", mapping, { lenient: true });
+      candidate.groups = mapping.getNames();
+      candidate.matches = parser.logEvents.length;
+      candidate.coverage = candidate.matches / lineCount;
+    } catch(exception) {
+      return;
+    }
+  }
+
+  mostCommon(values) {
+    let counts = d3.nest().key(d => d).rollup(v => v.length).entries(values);
+    return counts.sort((a,b) => d3.descending(a.value, b.value))[0].key;
+  }
+
+  escape(string) {
+    return string.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+  }
+}
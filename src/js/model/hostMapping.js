@@ -0,0 +1,117 @@
+/*
+ * Display names of hosts: rename rules (RegExp → alias) shorten long host names, and a grouping RegExp collapses
+ * hosts into groups (e.g., threads into their process), which the views show as one host. Groups can be expanded
+ * again individually. The original host names of the events are not changed (see LogEvent.displayHost).
+ */
+class HostMapping {
+
+  constructor(_config) {
+    this.config = {
+      // [{ pattern, alias }]: the first rule whose pattern matches replaces the match with the alias ($1 etc. are groups)
+      rules: _config.rules || [],
+      // Pattern whose first capture group (or the whole match) is the group of a host, e.g. "^(\\d+)@" groups threads by PID
+      grouping: _config.grouping || ""
+    }
+
+    this.rules = this.config.rules.map(d => ({ regexp: HostMapping.compile(d.pattern, "rename rule"), alias: d.alias }));
+    this.grouping = this.config.grouping ? HostMapping.compile(this.config.grouping, "grouping") : null;
+
+    this.expandedGroups = new Set();
+    this.groups = new Map();
+  }
+
+  static compile(pattern, description) {
+    try {
+      return new RegExp(pattern);
+    } catch(error) {
+      let exception = new Exception("The RegExp of the host " + description + " is not valid:\n", true);
+      exception.append(error.toString(), "italic");
+      throw exception;
+    }
+  }
+
+  // Rules in the text format "pattern => alias" (one per line, the alias can be empty)
+  static parseRules(text) {
+    return text.split("\n").filter(line => line.trim().length > 0).map(line => {
+      let separator = line.lastIndexOf("=>");
+      if(separator < 0) {
+        throw new Exception("Host rename rules need the format \"RegExp => alias\": " + line.trim(), true);
+      }
+      return { pattern: line.substring(0, separator).trim(), alias: line.substring(separator + 2).trim() };
+    });
+  }
+
+  static formatRules(rules) {
+    return rules.map(d => d.pattern + " => " + d.alias).join("\n");
+  }
+
+  getAlias(host) {
+    let rule = this.rules.find(d => d.regexp.test(host));
+    return rule ? host.replace(rule.regexp, rule.alias) : host;
+  }
+
+  getGroup(host) {
+    let match = this.grouping ? this.grouping.exec(host) : null;
+    if(!match) return null;
+    return match[1] != undefined ? match[1] : match[0];
+  }
+
+  // Finds the groups of the given hosts (groups of a single host are not collapsed)
+  setHosts(hosts) {
+    let mapping = this;
+
+    mapping.groups = new Map();
+    hosts.forEach(host => {
+      let group = mapping.getGroup(host);
+      if(group == null) return;
+      if(!mapping.groups.has(group)) {
+        mapping.groups.set(group, []);
+      }
+      mapping.groups.get(group).push(host);
+    });
+
+    mapping.groups.forEach((members, group) => {
+      if(members.length < 2) mapping.groups.delete(group);
+    });
+  }
+
+  getGroups() {
+    return Array.from(this.groups.keys());
+  }
+
+  getGroupHosts(group) {
+    return this.groups.get(group) || [];
+  }
+
+  isExpanded(group) {
+    return this.expandedGroups.has(group);
+  }
+
+  setExpanded(group, expanded) {
+    if(expanded) {
+      this.expandedGroups.add(group);
+    } else {
+      this.expandedGroups.delete(group);
+    }
+  }
+
+  // Name of the host in the views: its group if the group is collapsed, otherwise its alias
+  getDisplayHost(host) {
+    let group = this.getGroup(host);
+    if(group != null && this.groups.has(group) && !this.expandedGroups.has(group)) {
+      return group;
+    }
+    return this.getAlias(host);
+  }
+
+  // Sets displayHost of all events
+  apply(events) {
+    let displayHosts = new Map();
+    events.forEach(d => {
+      if(!displayHosts.has(d.host)) {
+        displayHosts.set(d.host, this.getDisplayHost(d.host));
+      }
+      d.displayHost = displayHosts.get(d.host);
+    });
+  }
+}
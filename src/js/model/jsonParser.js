@@ -0,0 +1,212 @@
+/*
+ * Structured logs with one JSON object per line (JSON lines). Instead of a parser regex, a mapping of JSON paths
+ * (e.g., "process.name" or "spans[0].id") to host, clock, event, time and additional fields specifies where the
+ * values of an event are. LogStreamParser uses it like a NamedRegExp (and JsonExecutionParser like ExecutionParser),
+ * so the results are the same LogEvents.
+ */
+class JsonMapping {
+
+  // Mapping as entered by the user, e.g. { "host": "process", "clock": "vc", "event": "msg", "time": "ts",
+  // "fields": { "priority": "level" } }. Without fields, all other top-level values (except objects) are fields.
+  // The time value is stored in the field timeField (see TimeParser).
+  constructor(string, timeField) {
+    let mapping;
+    try {
+      mapping = JSON.parse(string);
+    } catch(error) {
+      let exception = new Exception("The JSON mapping you entered is not valid JSON:\n", true);
+      exception.append(error.toString(), "italic");
+      throw exception;
+    }
+
+    if(typeof mapping != "object" || mapping == null || Array.isArray(mapping)) {
+      throw new Exception("The JSON mapping must be an object with the paths of host, clock and event, e.g. {\"host\": \"host\", \"clock\": \"clock\", \"event\": \"message\"}", true);
+    }
+
+    let missing = ["host", "clock", "event"].filter(d => typeof mapping[d] != "string" || mapping[d] == "");
+    if(missing.length > 0) {
+      throw new Exception("The JSON mapping does not have a path for: " + missing.join(", "), true);
+    }
+
+    if(mapping.fields && (typeof mapping.fields != "object" || Object.values(mapping.fields).some(d => typeof d != "string"))) {
+      throw new Exception("The fields of the JSON mapping must be an object with a path per field name.", true);
+    }
+
+    this.mapping = mapping;
+    this.timeField = timeField || "date";
+    this.host = JsonMapping.compilePath(mapping.host);
+    this.clock = JsonMapping.compilePath(mapping.clock);
+    this.event = JsonMapping.compilePath(mapping.event);
+    this.time = mapping.time ? JsonMapping.compilePath(mapping.time) : null;
+    this.fields = mapping.fields ? Object.keys(mapping.fields).map(name => ({ name: name, keys: JsonMapping.compilePath(mapping.fields[name]) })) : null;
+  }
+
+  // Keys of a path such as "a.b[0].c" or 'a["key with dots"]' (an optional leading "$." is ignored)
+  static compilePath(path) {
+    let keys = [];
+    let rest = path.replace(/^\$\.?/, "");
+    let part = /^(?:\.?([^.\[\]]+)|\[(\d+)\]|\["([^"]*)"\])/;
+
+    while(rest.length > 0) {
+      let match = part.exec(rest);
+      if(!match) {
+        throw new Exception("Invalid JSON path \"" + path + "\". Use dots for properties and [n] for array elements, e.g. process.name or spans[0].id", true);
+      }
+      keys.push(match[1] != undefined ? match[1] : match[2] != undefined ? Number(match[2]) : match[3]);
+      rest = rest.substring(match[0].length);
+    }
+
+    if(keys.length == 0) {
+      throw new Exception("Empty JSON path \"" + path + "\" in the mapping.", true);
+    }
+    return keys;
+  }
+
+  static getValue(record, keys) {
+    let value = record;
+    for(let key of keys) {
+      if(value == null || typeof value != "object") return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  // Field values are strings (like the capture groups of a parser regex)
+  static toText(value) {
+    return typeof value == "object" ? JSON.stringify(value) : String(value);
+  }
+
+  // Same as NamedRegExp.getNames() (fields that are not mapped explicitly are not known in advance)
+  getNames() {
+    let names = ["host", "clock", "event"];
+    if(this.time) names.push(this.timeField);
+    if(this.fields) this.fields.forEach(d => names.push(d.name));
+    return names;
+  }
+}
+
+
+/*
+ * Parses the JSON lines of one execution (or of a chunk of it). Has the same options and results as ExecutionParser:
+ * logEvents, errors, unmatchedLineCount, unmatchedLines and consumedLength. Each line is one event, lines that are
+ * no JSON objects or don't have a host and a clock are unmatched.
+ */
+class JsonExecutionParser {
+
+  // Options: lineOffset, lenient, clockDecoder, file, fileIndex, partial (see ExecutionParser)
+  constructor(rawString, label, mapping, options) {
+    options = options || {};
+
+    this.label = label;
+    this.mapping = mapping;
+    this.options = options;
+
+    this.logEvents = [];
+    this.errors = [];
+    this.unmatchedLineCount = 0;
+    this.unmatchedLines = [];
+
+    // The last line may continue in the next chunk
+    this.consumedLength = options.partial ? rawString.lastIndexOf("\n") + 1 : rawString.length;
+
+    let lineOffset = options.lineOffset || 0;
+    rawString.substring(0, this.consumedLength).split("\n").forEach((line, i) => {
+      if(line.trim().length > 0) {
+        this.parseLine(line, lineOffset + i + 1);
+      }
+    });
+  }
+
+  parseLine(text, lineNum) {
+    let parser = this;
+    let mapping = parser.mapping;
+    let options = parser.options;
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch(error) {
+      record = null;
+    }
+
+    let host = record ? JsonMapping.getValue(record, mapping.host) : undefined;
+    let clock = record ? JsonMapping.getValue(record, mapping.clock) : undefined;
+    if((typeof host != "string" && typeof host != "number") || clock == null) {
+      parser.unmatchedLineCount++;
+      if(parser.unmatchedLines.length < ExecutionParser.MAX_REPORTED_LINES) {
+        parser.unmatchedLines.push({ lineNum: lineNum, file: options.file, text: text.substring(0, ExecutionParser.MAX_LINE_LENGTH) });
+      }
+      return;
+    }
+    host = String(host);
+
+    let event = JsonMapping.getValue(record, mapping.event);
+    event = event == undefined ? "" : typeof event == "string" ? event : JSON.stringify(event);
+
+    let fields = { host: host };
+    if(mapping.fields) {
+      mapping.fields.forEach(field => {
+        let value = JsonMapping.getValue(record, field.keys);
+        if(value != undefined) {
+          fields[field.name] = JsonMapping.toText(value);
+        }
+      });
+    } else {
+      let mappedKeys = [mapping.host, mapping.clock, mapping.event].filter(d => d.length == 1).map(d => d[0]);
+      for(let key in record) {
+        if(record[key] != null && typeof record[key] != "object" && !mappedKeys.includes(key) && !(key in fields)) {
+          fields[key] = String(record[key]);
+        }
+      }
+    }
+
+    if(mapping.time) {
+      let time = JsonMapping.getValue(record, mapping.time);
+      if(time != undefined) {
+        fields[mapping.timeField] = JsonMapping.toText(time);
+      }
+    }
+
+    try {
+      parser.logEvents.push(new LogEvent(event, parser.parseTimestamp(clock, host, lineNum), lineNum, fields, 1, options.file, options.fileIndex));
+    } catch(exception) {
+      if(!options.lenient) throw exception;
+
+      parser.errors.push({ lineNum: lineNum, label: parser.label, file: options.file, exception: exception });
+    }
+  }
+
+  // The clock is an object or a string in the format of the clock decoder
+  parseTimestamp(clock, host, lineNum) {
+    let clockText = JsonMapping.toText(clock);
+    let clockDecoder = this.options.clockDecoder || ClockDecoder.get("json");
+
+    if(typeof clock == "string") {
+      try {
+        clock = clockDecoder.decode(clock);
+      } catch(error) {
+        let exception = new Exception("An error occured while trying to parse the vector timestamp on line " + lineNum + ":");
+        exception.append(clockText, "code");
+        exception.append("The error message from the " + clockDecoder.config.title + " decoder reads:\n");
+        exception.append(error.getMessage(), "italic");
+        exception.setUserFriendly(true);
+        throw exception;
+      }
+    }
+
+    if(typeof clock != "object" || clock == null || Array.isArray(clock)) {
+      let exception = new Exception("The vector timestamp on line " + lineNum + " is not an object:", true);
+      exception.append(clockText, "code");
+      throw exception;
+    }
+
+    try {
+      return new VectorTimestamp(clock, host);
+    } catch(exception) {
+      exception.prepend("An error occured while trying to parse the vector timestamp on line " + lineNum + ":\n\n");
+      exception.append(clockText, "code");
+      exception.setUserFriendly(true);
+      throw exception;
+    }
+  }
+}
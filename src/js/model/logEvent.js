@@ -14,8 +14,13 @@
  * @param {Number} lineNum the line number of the event in the log
  * @param {?Object<String, String>} [fields={}] a mapping of field names to
  *            field values extracted using regex.
+ * @param {Number} [lineCount=1] the number of lines the event spans in the log
+ * @param {?String} [file=null] the name of the log file that contains the
+ *            event (if the log consists of multiple files)
+ * @param {?Number} [fileIndex=null] the position of this file among the log
+ *            files (file names are not unique, e.g. rotated logs of hosts)
  */
-function LogEvent(text, vectorTimestamp, lineNum, fields) {
+function LogEvent(text, vectorTimestamp, lineNum, fields, lineCount, file, fileIndex) {
     /** @private */
     this.id = LogEvent.id++;
 
@@ -25,12 +30,29 @@ function LogEvent(text, vectorTimestamp, lineNum, fields) {
     /** @private */
     this.host = vectorTimestamp.getOwnHost();
 
+    /**
+     * Name of the host in the views (an alias or a group of hosts, see
+     * HostMapping)
+     * 
+     * @private
+     */
+    this.displayHost = this.host;
+
     /** @private */
     this.vectorTimestamp = vectorTimestamp;
 
     /** @private */
     this.lineNum = lineNum;
 
+    /** @private */
+    this.lineCount = lineCount || 1;
+
+    /** @private */
+    this.file = file || null;
+
+    /** @private */
+    this.fileIndex = fileIndex != null ? fileIndex : null;
+
     /** @private */
     this.fields = Util.objectShallowCopy(fields) || {};
 }
@@ -89,6 +111,38 @@ LogEvent.prototype.getLineNumber = function() {
     return this.lineNum;
 };
 
+/**
+ * Returns the number of lines in the raw input string that this log event
+ * spans (e.g., 2 for logs with separate event and vector clock lines).
+ * 
+ * @returns {Number}
+ */
+LogEvent.prototype.getLineCount = function() {
+    return this.lineCount;
+};
+
+/**
+ * Returns the name of the log file that contains this log event. The line
+ * number refers to this file.
+ * 
+ * @returns {?String} The file name or null if the log was not read from
+ *          multiple files
+ */
+LogEvent.prototype.getFile = function() {
+    return this.file;
+};
+
+/**
+ * Returns the position of the log file that contains this log event among
+ * all log files. Unlike the file name, it identifies the file.
+ * 
+ * @returns {?Number} The file index or null if the log was not read from
+ *          multiple files
+ */
+LogEvent.prototype.getFileIndex = function() {
+    return this.fileIndex;
+};
+
 /**
  * Returns the custom captured fields for the log event.
  * 
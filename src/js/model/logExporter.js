@@ -0,0 +1,151 @@
+/*
+ * Writes a selection of log events back to a log file that can be loaded in ShiViz.
+ * The file starts with the parser regex (1st line) and the execution delimiter (2nd line, empty),
+ * followed by an empty line and the log itself. Original lines can only be exported for logs that were parsed with a regex.
+ */
+class LogExporter {
+
+  constructor(_config) {
+    this.config = {
+      // Regex that was used to parse the original log (needed for 'original' exports)
+      parser: _config.parser,
+      // Format of the original clocks (projected clocks are written in the same format)
+      clockDecoder: _config.clockDecoder || ClockDecoder.get("json"),
+      // Optional ClockProjector that provides consistent vector clocks for the exported subset
+      projector: _config.projector,
+      // Field with the physical time of events (written in square brackets before the event text)
+      timeField: _config.timeField || "date"
+    }
+
+    this.serializedParser = "(?<event>.*)\\n(?<host>.*) (?<clock>{.*})";
+    this.serializedParserWithDate = "\\[(?<" + this.config.timeField + ">[^\\]]*)\\] (?<event>.*)\\n(?<host>.*) (?<clock>{.*})";
+    this.serializer = new VectorTimestampSerializer("`HOST` `CLOCK`", "", "", "");
+  }
+
+  // Copy the original log lines of all events (rawLog is the text the line numbers refer to)
+  exportOriginalLines(events, rawLog) {
+    let exporter = this;
+    let lines = rawLog.split("\n");
+    let regexp = exporter.getParser();
+
+    let log = exporter.sortEvents(events).map(d => {
+      let text = lines.slice(d.lineNum - 1, d.lineNum - 1 + d.lineCount).join("\n");
+      return exporter.getOriginalText(d, text, regexp);
+    });
+
+    return exporter.getOriginalFile(events, log);
+  }
+
+  // Same as exportOriginalLines, but the lines are read from the log files of the events in chunks (returns a promise)
+  async exportOriginalLinesFromFiles(events, files) {
+    let exporter = this;
+    let regexp = exporter.getParser();
+    let texts = new Map();
+
+    // Files are identified by their index (file names are not unique, e.g. rotated logs of several hosts)
+    for(let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+      let file = files[fileIndex];
+      let fileEvents = events.filter(d => d.fileIndex == fileIndex).sort((a,b) => d3.ascending(a.lineNum, b.lineNum));
+      if(fileEvents.length > 0) {
+        let lines = await exporter.readEventLines(fileEvents, file);
+        fileEvents.forEach((d,i) => texts.set(d, lines[i]));
+      }
+    }
+
+    let log = exporter.sortEvents(events).map(d => exporter.getOriginalText(d, texts.get(d), regexp));
+    return exporter.getOriginalFile(events, log);
+  }
+
+  // The header of original lines is the original parser, so all events have to be written in their original format.
+  // If the clock of any event can't be replaced, the whole selection is serialized instead.
+  getOriginalFile(events, log) {
+    if(log.some(d => d == null)) {
+      return this.exportSerialized(events);
+    }
+    return this.getFile(this.config.parser, log);
+  }
+
+  // Text of events (ordered by line number) in a log file
+  async readEventLines(events, file) {
+    let eventLines = events.map(d => []);
+
+    let index = 0;
+    let lineNum = 1;
+    await new LogFileReader(file).read(text => {
+      let lines = text.split("\n");
+      if(text.endsWith("\n")) {
+        lines.pop();
+      }
+
+      lines.forEach(line => {
+        while(index < events.length && lineNum >= events[index].lineNum + events[index].lineCount) {
+          index++;
+        }
+        if(index < events.length && lineNum >= events[index].lineNum) {
+          eventLines[index].push(line);
+        }
+        lineNum++;
+      });
+    });
+
+    return eventLines.map(d => d.join("\n"));
+  }
+
+  getParser() {
+    return new NamedRegExp(this.config.parser, "m");
+  }
+
+  // Replaces the original clock with the projected one (if there is a projector). Returns null if the clock can't be
+  // replaced, e.g. because the text doesn't match the parser anymore after the parser was edited.
+  getOriginalText(event, text, regexp) {
+    if(!this.config.projector) return text;
+
+    // The clock group is replaced at its position (the event text may contain the same text as the clock)
+    regexp.reset();
+    let match = regexp.execWithIndices(text);
+    let clockIndices = match && match.groupIndices.clock;
+    if(!clockIndices) return null;
+
+    let clock = this.config.clockDecoder.encode(this.getTimestamp(event).getClock());
+    return text.substring(0, clockIndices[0]) + clock + text.substring(clockIndices[1]);
+  }
+
+  // Write each event as two lines (event text and vector timestamp) with a matching parser
+  exportSerialized(events) {
+    let exporter = this;
+    let timeField = exporter.config.timeField;
+    let withDate = events.length > 0 && events.every(d => d.fields[timeField]);
+
+    let log = exporter.sortEvents(events).map(d => exporter.serializeEvent(d, withDate));
+
+    return exporter.getFile(withDate ? exporter.serializedParserWithDate : exporter.serializedParser, log);
+  }
+
+  // Event text (with the time in square brackets) and vector timestamp in two lines
+  serializeEvent(event, withDate) {
+    let text = event.text.replace(/\n/g, " ");
+    if(withDate) {
+      text = "[" + event.fields[this.config.timeField] + "] " + text;
+    }
+    return text + "\n" + this.serializer.serialize([this.getTimestamp(event)]);
+  }
+
+  getTimestamp(event) {
+    if(this.config.projector) {
+      return this.config.projector.getTimestamp(event);
+    }
+    return event.vectorTimestamp;
+  }
+
+  // ShiViz expects the events of each host in log order. Events of multiple files are merged in causal order.
+  sortEvents(events) {
+    let sortedEvents = events.slice().sort((a,b) => d3.ascending(a.fileIndex, b.fileIndex) || d3.ascending(a.lineNum, b.lineNum));
+
+    let files = new Set(events.map(d => d.fileIndex));
+    return files.size > 1 ? MultiFileParser.mergeEvents(sortedEvents) : sortedEvents;
+  }
+
+  getFile(parser, log) {
+    return parser + "\n\n\n" + log.join("\n") + "\n";
+  }
+}
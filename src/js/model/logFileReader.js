@@ -0,0 +1,97 @@
+/*
+ * Reads a log file (File or Blob) as a stream, so that large files never have to be loaded into one string.
+ * Gzip-compressed files are decompressed on the fly. Chunks always end at a line break and line breaks
+ * are normalized to "\n".
+ */
+class LogFileReader {
+
+  constructor(file, _config) {
+    _config = _config || {};
+    this.file = file;
+    this.config = {
+      chunkSize: _config.chunkSize || LogFileReader.CHUNK_SIZE
+    }
+  }
+
+  // Calls onChunk(text, { bytesRead, size }) for each chunk (and waits for it if it returns a promise).
+  // Sizes refer to the file (i.e., to the compressed data of gzip files).
+  async read(onChunk) {
+    let reader = this;
+    let streamReader = await reader.getStreamReader();
+    let decoder = new TextDecoder();
+    let text = "";
+
+    while(true) {
+      let { done, value } = await streamReader.read();
+      text += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      if(text.length >= reader.config.chunkSize || (done && text.length > 0)) {
+        // Lines can be split between two parts of the stream
+        let lineEnd = done ? text.length : text.lastIndexOf("\n") + 1;
+        if(lineEnd > 0) {
+          await onChunk(reader.normalize(text.substring(0, lineEnd)), { bytesRead: reader.bytesRead, size: reader.file.size });
+          text = text.substring(lineEnd);
+        }
+      }
+
+      if(done) break;
+    }
+  }
+
+  // First lines of the file (up to maxLength characters); complete is true if the excerpt contains the whole file
+  async readPreview(maxLength) {
+    let reader = this;
+    let streamReader = await reader.getStreamReader();
+    let decoder = new TextDecoder();
+    let text = "";
+    let complete = false;
+
+    while(text.length < maxLength) {
+      let { done, value } = await streamReader.read();
+      if(done) {
+        text += decoder.decode();
+        complete = true;
+        break;
+      }
+      text += decoder.decode(value, { stream: true });
+    }
+
+    if(!complete) {
+      // Canceling a stream that already failed (e.g., a decompression error) rejects, the preview is complete anyway
+      await streamReader.cancel().catch(() => {});
+      text = text.substring(0, text.lastIndexOf("\n", maxLength) + 1);
+    }
+    return { text: reader.normalize(text), complete: complete };
+  }
+
+  // Stream of the (decompressed) file content; counts the bytes read from the file in this.bytesRead
+  async getStreamReader() {
+    let reader = this;
+
+    reader.bytesRead = 0;
+    let stream = reader.file.stream().pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        reader.bytesRead += chunk.byteLength;
+        controller.enqueue(chunk);
+      }
+    }));
+
+    if(await reader.isCompressed()) {
+      stream = stream.pipeThrough(new DecompressionStream("gzip"));
+    }
+    return stream.getReader();
+  }
+
+  // Gzip files start with the bytes 1f 8b
+  async isCompressed() {
+    let bytes = new Uint8Array(await this.file.slice(0, 2).arrayBuffer());
+    return bytes.length == 2 && bytes[0] == 0x1f && bytes[1] == 0x8b;
+  }
+
+  normalize(text) {
+    return text.replace(/\r\n/g, "\n");
+  }
+}
+
+// Number of characters per chunk
+LogFileReader.CHUNK_SIZE = 4 * 1024 * 1024;
@@ -0,0 +1,189 @@
+/*
+ * Parses a log that arrives in chunks of complete lines (see LogFileReader), so that large files don't
+ * have to be loaded into one string. Provides the same results as LogParser: getLabels(), getLogEvents(label),
+ * getErrors() and getUnmatchedLines(). The text of one event must not be longer than MAX_BUFFER_LENGTH.
+ * The parser is a NamedRegExp or a JsonMapping (JSON lines).
+ */
+class LogStreamParser {
+
+  // Options: lenient and clockDecoder (see LogParser), file (name stored in events and errors),
+  // fileIndex (position of the file among all files, stored in events), onProgress({ linesRead, eventsParsed, fraction })
+  constructor(delimiter, regexp, options) {
+    this.delimiter = delimiter;
+    this.regexp = regexp;
+    this.options = options || {};
+
+    let names = regexp.getNames();
+    if(!["clock", "host", "event"].every(d => names.includes(d))) {
+      let exception = new Exception("The parser RegExp you entered does not have the necessary named capture groups.\n", true);
+      exception.append("Please see the documentation for details.");
+      throw exception;
+    }
+
+    // Executions in the order in which they are encountered
+    this.executionLabels = [];
+    this.executions = {};
+    this.startExecution("");
+
+    // Text that has not been parsed yet and the line number of its first line
+    this.buffer = "";
+    this.bufferLine = 1;
+
+    // Largest chunk so far (see parseBuffer)
+    this.maxChunkLength = 0;
+  }
+
+  // Text of complete lines; progress: { bytesRead, size } of the file
+  append(text, progress) {
+    let parser = this;
+
+    parser.maxChunkLength = Math.max(parser.maxChunkLength, text.length);
+    parser.buffer += text;
+    parser.parseBuffer(false);
+
+    if(parser.options.onProgress) {
+      parser.options.onProgress({
+        linesRead: parser.bufferLine - 1,
+        eventsParsed: parser.getEventCount(),
+        fraction: progress.bytesRead / progress.size
+      });
+    }
+  }
+
+  // Parses the remaining text; has to be called after the last chunk
+  finish() {
+    let parser = this;
+
+    parser.parseBuffer(true);
+
+    parser.labels = [];
+    parser.executionLabels.forEach(label => {
+      let execution = parser.executions[label];
+      if(execution.logEvents.length > 0) {
+        parser.labels.push(label);
+      } else if(execution.hasText) {
+        let exception = new Exception("The parser RegExp you entered does not capture any events for the execution " + label, true);
+        if(!parser.options.lenient) throw exception;
+
+        execution.errors.push({ lineNum: execution.lineNum, label: label, file: parser.options.file, exception: exception });
+      }
+    });
+
+    if(parser.labels.length == 0) {
+      throw new Exception("The parser RegExp you entered does not capture any events.", true);
+    }
+  }
+
+  parseBuffer(final) {
+    let parser = this;
+    let text = parser.buffer;
+    let start = 0;
+    let line = parser.bufferLine;
+
+    // Each delimiter ends the current execution
+    if(parser.delimiter) {
+      parser.delimiter.reset();
+      let match;
+      while(match = parser.delimiter.exec(text)) {
+        if(match[0].length == 0) break;
+
+        parser.parseExecutionText(text.substring(start, match.index), line, false);
+        line += countNewlines(text, start, match.index + match[0].length);
+        start = match.index + match[0].length;
+
+        parser.startExecution(match.trace || "", line);
+      }
+    }
+
+    // The last event of the remaining text may continue in the next chunk. Text that is much longer
+    // than a chunk without any complete event is parsed anyway (the lines are reported as unmatched).
+    let rest = text.substring(start);
+    let partial = !final && rest.length <= Math.max(2 * parser.maxChunkLength, LogStreamParser.MAX_BUFFER_LENGTH);
+    let consumed = parser.parseExecutionText(rest, line, partial);
+
+    parser.bufferLine = line + countNewlines(rest, 0, consumed);
+    parser.buffer = rest.substring(consumed);
+  }
+
+  // Parses the text of the current execution and returns the length of the parsed part
+  parseExecutionText(text, line, partial) {
+    let parser = this;
+    let execution = parser.executions[parser.currentLabel];
+
+    if(text.trim().length == 0) return text.length;
+    execution.hasText = true;
+
+    let options = {
+      lineOffset: line - 1,
+      lenient: parser.options.lenient,
+      clockDecoder: parser.options.clockDecoder,
+      file: parser.options.file,
+      fileIndex: parser.options.fileIndex,
+      chunk: true,
+      partial: partial
+    };
+
+    let executionParser;
+    if(parser.regexp instanceof JsonMapping) {
+      executionParser = new JsonExecutionParser(text, parser.currentLabel, parser.regexp, options);
+    } else {
+      parser.regexp.reset();
+      executionParser = new ExecutionParser(text, parser.currentLabel, parser.regexp, options);
+    }
+
+    // Arrays can be too long for push(...items)
+    executionParser.logEvents.forEach(d => execution.logEvents.push(d));
+    executionParser.errors.forEach(d => execution.errors.push(d));
+    execution.unmatchedLineCount += executionParser.unmatchedLineCount;
+    executionParser.unmatchedLines.forEach(d => {
+      if(execution.unmatchedLines.length < ExecutionParser.MAX_REPORTED_LINES) {
+        execution.unmatchedLines.push(d);
+      }
+    });
+
+    return executionParser.consumedLength;
+  }
+
+  startExecution(label, lineNum) {
+    if(this.executions[label]) {
+      throw new Exception("Execution names must be unique. There are multiple executions called \"" + label + "\"", true);
+    }
+
+    this.currentLabel = label;
+    this.executionLabels.push(label);
+    this.executions[label] = { lineNum: lineNum || 1, hasText: false, logEvents: [], errors: [], unmatchedLineCount: 0, unmatchedLines: [] };
+  }
+
+  getEventCount() {
+    return d3.sum(this.executionLabels, label => this.executions[label].logEvents.length);
+  }
+
+  getLabels() {
+    return this.labels.slice();
+  }
+
+  getLogEvents(label) {
+    return this.executions[label] ? this.executions[label].logEvents : null;
+  }
+
+  // Same format as LogParser.getErrors()
+  getErrors() {
+    let errors = [];
+    this.executionLabels.forEach(label => errors = errors.concat(this.executions[label].errors));
+    return errors.sort((a,b) => a.lineNum - b.lineNum);
+  }
+
+  // Same format as LogParser.getUnmatchedLines()
+  getUnmatchedLines() {
+    let unmatched = { count: 0, lines: [] };
+    this.executionLabels.forEach(label => {
+      unmatched.count += this.executions[label].unmatchedLineCount;
+      unmatched.lines = unmatched.lines.concat(this.executions[label].unmatchedLines);
+    });
+    unmatched.lines.sort((a,b) => a.lineNum - b.lineNum);
+    return unmatched;
+  }
+}
+
+// Maximum length of unparsed text without a complete event
+LogStreamParser.MAX_BUFFER_LENGTH = 8 * 1024 * 1024;
@@ -2,149 +2,454 @@ class ModelGraph {
 
   constructor(_config, data) {
     this.config = {
-      //parentElement: _config.parentElement, 
+      // Configuration of the TimeParser (field, format or epoch unit, timezone)
+      time: _config.time || {},
+      // "physical" if the events have a time field, otherwise "logical" (log order)
+      temporalOrder: _config.temporalOrder,
+      // Order of events in the log: "ascending" (oldest first), "descending" (newest first) or "time" (sort by time field)
+      ordering: _config.ordering || "ascending"
     }
     
-    this.data = data;
-    this.initGraph();
+    this.data = this.orderEvents(data);
+
+    if(!this.config.temporalOrder) {
+      let timeParser = new TimeParser(this.config.time);
+      this.config.temporalOrder = data.length > 0 && timeParser.hasTime(data[0]) ? "physical" : "logical";
+    }
+
+    this.initGraph(_config.onProgress);
+  }
+
+  // Bring the events into temporal order (the per-host event lists and logical time follow this order)
+  orderEvents(data) {
+    let graph = this;
+
+    if(graph.config.ordering == "ascending") {
+      return data;
+    } else if(graph.config.ordering == "descending") {
+      return data.slice().reverse();
+    } else if(graph.config.ordering == "time") {
+      let timeParser = new TimeParser(graph.config.time);
+      if(!data.every(d => timeParser.hasTime(d))) {
+        throw new Exception("Sorting by time requires the time field \"" + timeParser.config.field + "\" for all events.", true);
+      }
+
+      // Events with the same time stay in log order
+      let times = new Map(data.map(d => [d, timeParser.parse(d)]));
+      return data.slice().sort((a,b) => d3.ascending(times.get(a), times.get(b)) || d3.ascending(a.lineNum, b.lineNum));
+    }
+
+    throw new Exception("Unknown ordering \"" + graph.config.ordering + "\".", true);
   }
 
-  initGraph() {
+  // Own clock values have to increase along the events of a host, otherwise the ordering is probably wrong.
+  // Results in one warning { host, lineNum, file, count } per host (lineNum: first event out of order)
+  checkClockOrder() {
+    let graph = this;
+
+    graph.warnings = [];
+    for(let host in graph.events) {
+      let count = 0;
+      let first;
+      graph.events[host].forEach((d,index) => {
+        if(index > 0 && d.vectorTimestamp.getOwnTime() <= graph.events[host][index-1].vectorTimestamp.getOwnTime()) {
+          count++;
+          first = first || d;
+        }
+      });
+
+      if(count > 0) {
+        graph.warnings.push({ host: host, lineNum: first.lineNum, file: first.file, count: count });
+      }
+    }
+  }
+
+  // Optional callback 'onProgress' receives the number of processed events and resolved edges
+  initGraph(onProgress) {
     let graph = this;
 
     graph.hosts = d3.map(graph.data, d => d.host).keys();
 
     graph.events = {};
 
+    // Index of events per host by their own clock value (to resolve happened-before relationships)
+    graph.clockIndex = {};
+
+    let timeParser = new TimeParser(graph.config.time);
+
     // Events per host
     graph.data.forEach((d,index) => {
       if(!(d.host in graph.events)) {
         graph.events[d.host] = [];
+        graph.clockIndex[d.host] = new Map();
       }
-      // Convert datetime string to date object
-      if(app.temporalOrder == "physical") {
-        d.fields.timestamp = moment(d.fields.date).toDate();
-        d.fields.time_numeric = d.fields.timestamp.getTime();
+      // Physical time in ms
+      if(graph.config.temporalOrder == "physical") {
+        d.fields.time_numeric = timeParser.parse(d);
+        if(isNaN(d.fields.time_numeric)) {
+          let exception = new Exception("The time of the event on line " + d.lineNum + " could not be parsed:\n", true);
+          exception.append(String(d.fields[timeParser.config.field]), "code");
+          exception.append("Check the time field, format and epoch unit.");
+          throw exception;
+        }
       } else {
         d.fields.time_numeric = index;
       }
 
       graph.events[d.host].push(d);
+
+      const clockValue = d.vectorTimestamp.clock[d.host];
+      if(!graph.clockIndex[d.host].has(clockValue)) {
+        graph.clockIndex[d.host].set(clockValue, d);
+      }
     });
 
-    // Get happened-before relationships
+    graph.checkClockOrder();
+
+    // Get happened-before relationships (list of all direct causal predecessors per event)
+    let eventsProcessed = 0;
+    let edgesResolved = 0;
     for(let host in graph.events) {
       graph.events[host].forEach((d,index) => {
+        d.happenedBefore = graph.getHappenedBefore(d, index > 0 ? graph.events[host][index-1] : null);
 
-        if(index > 0) {
-          d.happenedBefore = graph.getHappenedBefore(d, graph.events[host][index-1]);
-        // Special case: add generic init event if this host starts with a connection to an external host
-        } else if(Object.keys(d.vectorTimestamp.clock).length > 1) {
-          let prevEvent = {} // Create artifical start event
-          prevEvent = { host: d.host, vectorTimestamp: { clock: {} }};
-          prevEvent.vectorTimestamp.clock[d.host] = 0;
-          d.happenedBefore = graph.getHappenedBefore(d, prevEvent);
+        eventsProcessed++;
+        edgesResolved += graph.getExternalParents(d).length;
+        if(onProgress && eventsProcessed % 1000 == 0) {
+          onProgress({ eventsProcessed: eventsProcessed, edgesResolved: edgesResolved, fraction: eventsProcessed / graph.data.length });
         }
       });
     }
 
     // Compute layout (y-positions)
-    let hostIterator = {};
-
-    graph.hosts.forEach(d => {
-      hostIterator[d] = { host:d, pos:0, index:0 };
-    });
-    graph.computeVerticalNodePositionsPerHost(hostIterator, graph.hosts[0]);
+    graph.computeVerticalNodePositions();
     
     graph.displayData = [];
     for(let host in graph.events) {
-      graph.displayData = graph.displayData.concat(graph.events[host]);
+      graph.events[host].forEach(d => graph.displayData.push(d));
     }
 
-    graph.edges = graph.displayData.filter(d => {
-      return d.happenedBefore && d.happenedBefore.type == "external";
-    });
+    graph.edges = graph.getFilteredEdges(graph.displayData);
+
+    // Merged nodes of collapseLocalEvents (key: event)
+    graph.collapsedData = null;
+    graph.mergedNodes = new Map();
+
+    // Reverse happened-before links (see getChildren)
+    graph.children = null;
   }
 
+  // Events or, after collapseLocalEvents, events and merged nodes
   getNodes() {
-    return this.displayData;
+    return this.collapsedData || this.displayData;
+  }
+
+  // Node that represents an event (a merged node or the event itself)
+  getNode(event) {
+    return this.mergedNodes.get(event) || event;
+  }
+
+  // Optional transformation: runs of at least minLength consecutive local events of a host (events that neither
+  // send to nor receive from other hosts) are merged into one ModelNode that holds the events. The merged nodes replace
+  // their events in getNodes() and the vertical positions are computed again, so long local runs take less space.
+  collapseLocalEvents(minLength) {
+    let graph = this;
+    let eventsPerHost = {};
+
+    graph.mergedNodes = new Map();
+    graph.collapsedData = [];
+    graph.children = null;
+
+    for(let host in graph.events) {
+      let run = [];
+      eventsPerHost[host] = [];
+
+      const endRun = () => {
+        if(run.length >= minLength) {
+          let node = graph.createMergedNode(run);
+          run.forEach(d => graph.mergedNodes.set(d, node));
+          eventsPerHost[host].push(node);
+        } else {
+          run.forEach(d => eventsPerHost[host].push(d));
+        }
+        run = [];
+      };
+
+      graph.events[host].forEach(d => {
+        // Senders (ancestors) and receivers end a run
+        if(d.ancestor || graph.getExternalParents(d).length > 0) {
+          endRun();
+          eventsPerHost[host].push(d);
+        } else {
+          run.push(d);
+        }
+      });
+      endRun();
+
+      eventsPerHost[host].forEach(d => graph.collapsedData.push(d));
+    }
+
+    graph.computeVerticalNodePositions(eventsPerHost);
+  }
+
+  // Undo collapseLocalEvents
+  expandLocalEvents() {
+    let graph = this;
+    if(!graph.collapsedData) return;
+
+    graph.collapsedData = null;
+    graph.mergedNodes = new Map();
+    graph.children = null;
+    graph.computeVerticalNodePositions();
+  }
+
+  // ModelNode with the properties of a LogEvent that the views use: host, text, position, line and time of the first
+  // event, the vector timestamp of the last event and the fields that all events have in common
+  createMergedNode(events) {
+    let node = new ModelNode(events);
+    let first = events[0];
+    let last = events[events.length - 1];
+
+    node.id = "merged-" + first.id;
+    node.host = first.host;
+    node.displayHost = first.displayHost;
+    node.text = events.length + " local events";
+    node.lineNum = first.lineNum;
+    node.file = first.file;
+    node.fileIndex = first.fileIndex;
+    node.vectorTimestamp = last.vectorTimestamp;
+    node.happenedBefore = first.happenedBefore;
+
+    node.fields = {};
+    for(let name in first.fields) {
+      if(events.every(d => d.fields[name] === first.fields[name])) {
+        node.fields[name] = first.fields[name];
+      }
+    }
+    node.fields.time_numeric = first.fields.time_numeric;
+
+    return node;
+  }
+
+  // Events of the given nodes (merged nodes are replaced by their events)
+  static getLogEvents(nodes) {
+    let events = [];
+    nodes.forEach(d => {
+      if(d instanceof ModelNode) {
+        d.getLogEvents().forEach(event => events.push(event));
+      } else {
+        events.push(d);
+      }
+    });
+    return events;
   }
 
   getEdges() {
     return this.edges;
   }
 
+  // Connections between hosts (one per external parent) that lead to the given nodes
   getFilteredEdges(nodes) {
-    return nodes.filter(d => {
-      return d.happenedBefore && d.happenedBefore.type == "external";
+    let edges = [];
+    nodes.forEach(d => {
+      this.getExternalParents(d).forEach(parent => {
+        edges.push({ id: parent.id + "-" + d.id, source: parent, target: d });
+      });
     });
+    return edges;
+  }
+
+  // Causal past: all nodes that happened before the given node. A merged node is part of it if any of its events is,
+  // i.e. if its first event happened before the last event of the given node.
+  getCausalPast(node) {
+    return this.getNodes().filter(d => ModelGraph.getFirstTimestamp(d).compareTo(node.vectorTimestamp) < 0);
+  }
+
+  // Causal future: all nodes that the given node happened before (if any event of a merged node happened after
+  // the first event of the given node, see getCausalPast)
+  getCausalFuture(node) {
+    const first = ModelGraph.getFirstTimestamp(node);
+    return this.getNodes().filter(d => d.vectorTimestamp.compareTo(first) > 0);
+  }
+
+  // Vector timestamp of an event or of the first event of a merged node (merged nodes have the timestamp of their
+  // last event, see createMergedNode)
+  static getFirstTimestamp(node) {
+    return node instanceof ModelNode ? node.getFirstLogEvent().vectorTimestamp : node.vectorTimestamp;
+  }
+
+  // All direct causal predecessors: previous event on the same host and events at external hosts.
+  // Links to collapsed events lead to their merged node (see collapseLocalEvents).
+  getParents(node) {
+    return node.happenedBefore.map(parent => this.getNode(parent.event)).filter(d => d !== node);
+  }
+
+  getExternalParents(event) {
+    return event.happenedBefore.filter(d => d.type == "external").map(d => d.event);
   }
   
-  computeVerticalNodePositionsPerHost(hostIterator, host) {
+  // Each event is placed below its predecessor on the same host and below all its external parents.
+  // Hosts are processed iteratively: a host that waits for an event of another host is resumed once that event is placed.
+  // eventsPerHost: lists of events (or merged nodes, see collapseLocalEvents) per host, by default the events of the graph
+  computeVerticalNodePositions(eventsPerHost) {
     let graph = this;
+    eventsPerHost = eventsPerHost || graph.events;
 
-    for (let i = hostIterator[host].index; i < graph.events[host].length; i++) {
-      let currEvent = graph.events[host][i];
+    // Positions of a previous layout
+    for(let host in eventsPerHost) {
+      eventsPerHost[host].forEach(d => d.pos = undefined);
+    }
+
+    let index = {}; // Next event to be placed per host
+    let pos = {}; // Last y-position per host
+    let waiting = new Map(); // Hosts that wait for an event (key: event)
+    let queue = graph.hosts.slice();
+
+    graph.hosts.forEach(host => {
+      index[host] = 0;
+      pos[host] = 0;
+    });
 
-      if(currEvent.pos >= 0) {
-        continue;
+    const placeEvent = (host, currEvent) => {
+      pos[host]++;
+      graph.getExternalParents(currEvent).forEach(parent => {
+        if(parent.pos >= 0) {
+          pos[host] = Math.max(pos[host], parent.pos + 1);
+        }
+      });
+      currEvent.pos = pos[host];
+      index[host]++;
+
+      if(waiting.has(currEvent)) {
+        waiting.get(currEvent).forEach(d => queue.push(d));
+        waiting.delete(currEvent);
       }
+    };
 
-      // Child connection
-      if(!currEvent.happenedBefore || currEvent.happenedBefore.type == "child") {
-        hostIterator[host].pos++;
-        hostIterator[host].index++;
-        currEvent.pos = hostIterator[host].pos;
-      } else {
-        // Check if y-position for previous event already exists
-        let happenedBeforeEvent = currEvent.happenedBefore.event;
-        if(!happenedBeforeEvent.hasOwnProperty("pos")) {
-          // First compute y-position for related host before continuing in this host
-          graph.computeVerticalNodePositionsPerHost(hostIterator, happenedBeforeEvent.host);
-          if(currEvent.pos >= 0) {
-            continue;
+    while(queue.length > 0) {
+      while(queue.length > 0) {
+        const host = queue.pop();
+        const events = eventsPerHost[host];
+
+        while(index[host] < events.length) {
+          const currEvent = events[index[host]];
+          const unplacedParent = graph.getExternalParents(currEvent).find(d => !(d.pos >= 0));
+
+          // Continue with this host as soon as the y-position of the related event is known
+          if(unplacedParent) {
+            if(!waiting.has(unplacedParent)) {
+              waiting.set(unplacedParent, []);
+            }
+            waiting.get(unplacedParent).push(host);
+            break;
           }
+          placeEvent(host, currEvent);
         }
-        hostIterator[host].pos = Math.max(hostIterator[host].pos + 1, happenedBeforeEvent.pos + 1);
-        hostIterator[host].index++;
-        currEvent.pos = hostIterator[host].pos;
+      }
+
+      // Inconsistent clocks can lead to hosts waiting for each other: place the first waiting event anyway
+      const blockedHost = graph.hosts.find(host => index[host] < eventsPerHost[host].length);
+      if(blockedHost) {
+        const blockedEvent = eventsPerHost[blockedHost][index[blockedHost]];
+        placeEvent(blockedHost, blockedEvent);
+        queue.push(blockedHost);
       }
     }
   }
 
   getHappenedBefore(currEvent, prevEvent) {
     let graph = this;
+    let happenedBefore = [];
+
+    if(prevEvent) {
+      happenedBefore.push({ type: "child", event: prevEvent });
+    }
+
     // Compare current and previous event to see if other clock values have been updated
-    let updatedHosts = currEvent.vectorTimestamp.compareUpdatedHosts(prevEvent.vectorTimestamp);
-
-    // Find happened-before event at external host
-    if (updatedHosts.length > 0) {
-      for (let i = 0; i < updatedHosts.length; i++) {
-        const host = updatedHosts[i];
-
-        // Get event with the same clock value
-        let happenedBeforeEvent = graph.getEventByClockValue(host, currEvent.vectorTimestamp.clock[host]);
-        
-        // Check if all hosts match in this event compared to currEvent.
-        if (currEvent.vectorTimestamp.compareHosts(happenedBeforeEvent.vectorTimestamp, updatedHosts)) {
-          happenedBeforeEvent.ancestor = true;
-          return { type: "external", event: happenedBeforeEvent };
-        }
+    let updatedHosts = currEvent.vectorTimestamp.compareUpdatedHosts(prevEvent ? prevEvent.vectorTimestamp : { clock: {} });
+
+    // Get events at external hosts with the same clock values
+    let candidates = [];
+    updatedHosts.forEach(host => {
+      let happenedBeforeEvent = graph.getEventByClockValue(host, currEvent.vectorTimestamp.clock[host]);
+      if(happenedBeforeEvent) {
+        candidates.push(happenedBeforeEvent);
+      }
+    });
+
+    // Candidates that happened before another candidate are only indirect predecessors
+    candidates.forEach(candidate => {
+      const ownTime = candidate.vectorTimestamp.clock[candidate.host];
+      const isIndirect = candidates.some(other => other !== candidate && other.vectorTimestamp.clock[candidate.host] >= ownTime);
+
+      if(!isIndirect) {
+        candidate.ancestor = true;
+        happenedBefore.push({ type: "external", event: candidate });
       }
+    });
+
+    return happenedBefore;
+  }
+
+  // Direct causal successors of a node (built on first use for the current nodes)
+  getChildren(node) {
+    let graph = this;
+
+    if(!graph.children) {
+      graph.children = new Map();
+      graph.getNodes().forEach(d => {
+        graph.getParents(d).forEach(parent => {
+          if(!graph.children.has(parent)) {
+            graph.children.set(parent, []);
+          }
+          graph.children.get(parent).push(d);
+        });
+      });
     }
-    
-    // currEvent has no connection to external hosts
-    return { type: "child", event: prevEvent };
+
+    return graph.children.get(node) || [];
   }
 
-  getEventByClockValue(host, clockValue) {
+  // Causal chain: all nodes that are reachable over happened-before links in the "past" (ancestors) or in the
+  // "future" (descendants) of a node, across hosts
+  getCausalChain(node, direction) {
     let graph = this;
+    let chain = new Set();
+    let stack = [node];
 
-    for (let i = 0; i < graph.events[host].length; i++) {
-      let currClockValue = graph.events[host][i].vectorTimestamp.clock[host];
-      if (currClockValue == clockValue) {
-        return graph.events[host][i];
-      }
+    while(stack.length > 0) {
+      let current = stack.pop();
+      let next = direction == "past" ? graph.getParents(current) : graph.getChildren(current);
+      next.forEach(d => {
+        if(!chain.has(d)) {
+          chain.add(d);
+          stack.push(d);
+        }
+      });
     }
+
+    return chain;
+  }
+
+  // Nodes on the causal paths between two nodes (including both) or null if the nodes are concurrent
+  getCausalPath(a, b) {
+    let graph = this;
+    const order = a.vectorTimestamp.compareTo(b.vectorTimestamp);
+    if(order == 0) return null;
+
+    const first = order < 0 ? a : b;
+    const last = order < 0 ? b : a;
+    let future = graph.getCausalChain(first, "future");
+
+    let path = new Set([first, last]);
+    graph.getCausalChain(last, "past").forEach(d => {
+      if(future.has(d)) path.add(d);
+    });
+    return path;
+  }
+
+  getEventByClockValue(host, clockValue) {
+    if(!(host in this.clockIndex)) return;
+    return this.clockIndex[host].get(clockValue);
   }
 }
\ No newline at end of file
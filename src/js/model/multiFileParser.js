@@ -0,0 +1,129 @@
+/*
+ * Parses multiple log files (e.g., rotated or per-host logs, optionally gzipped) and merges executions with
+ * the same label into one. Provides the same results as LogParser: getLabels(), getLogEvents(label),
+ * getErrors() and getUnmatchedLines(). Line numbers refer to the file of each event (LogEvent.getFile()).
+ */
+class MultiFileParser {
+
+  // regexp: NamedRegExp or JsonMapping (see LogStreamParser)
+  // Options: lenient and clockDecoder (see LogParser), onProgress({ linesRead, eventsParsed, fraction }),
+  // ordering: order of the events in each file ("descending": newest first). The events of all executions are
+  // in ascending order (oldest first) after parse(), since merging needs the order of each file.
+  constructor(files, delimiter, regexp, options) {
+    this.files = files;
+    this.delimiter = delimiter;
+    this.regexp = regexp;
+    this.options = options || {};
+
+    this.labels = [];
+    this.executions = {};
+    this.errors = [];
+    this.unmatched = { count: 0, lines: [] };
+  }
+
+  // Reads and parses all files (returns a promise)
+  async parse() {
+    let parser = this;
+    let totalSize = d3.sum(parser.files, d => d.size);
+    let bytesBefore = 0;
+    let linesBefore = 0;
+    let eventsBefore = 0;
+
+    for(let fileIndex = 0; fileIndex < parser.files.length; fileIndex++) {
+      let file = parser.files[fileIndex];
+      let lastProgress = { linesRead: 0, eventsParsed: 0 };
+
+      let fileParser = new LogStreamParser(parser.delimiter, parser.regexp, {
+        lenient: parser.options.lenient,
+        clockDecoder: parser.options.clockDecoder,
+        file: file.name,
+        fileIndex: fileIndex,
+        onProgress: progress => {
+          lastProgress = progress;
+          if(parser.options.onProgress) {
+            parser.options.onProgress({
+              linesRead: linesBefore + progress.linesRead,
+              eventsParsed: eventsBefore + progress.eventsParsed,
+              fraction: totalSize > 0 ? (bytesBefore + progress.fraction * file.size) / totalSize : 1
+            });
+          }
+        }
+      });
+
+      try {
+        await new LogFileReader(file).read((text, progress) => fileParser.append(text, progress));
+        fileParser.finish();
+      } catch(exception) {
+        if(!(exception instanceof Exception)) throw exception;
+        exception.prepend("Error in file " + file.name + ":\n\n");
+        if(!parser.options.lenient) throw exception;
+
+        // Files without any events are skipped in lenient mode
+        parser.errors.push({ lineNum: 1, label: "", file: file.name, exception: exception });
+        bytesBefore += file.size;
+        continue;
+      }
+
+      fileParser.getLabels().forEach(label => {
+        if(!parser.executions[label]) {
+          parser.labels.push(label);
+          parser.executions[label] = { logEvents: [], fileCount: 0 };
+        }
+        let execution = parser.executions[label];
+        let logEvents = fileParser.getLogEvents(label);
+        if(parser.options.ordering == "descending") {
+          logEvents = logEvents.slice().reverse();
+        }
+        logEvents.forEach(d => execution.logEvents.push(d));
+        execution.fileCount++;
+      });
+
+      parser.errors = parser.errors.concat(fileParser.getErrors());
+      let unmatched = fileParser.getUnmatchedLines();
+      parser.unmatched.count += unmatched.count;
+      parser.unmatched.lines = parser.unmatched.lines.concat(unmatched.lines);
+
+      bytesBefore += file.size;
+      linesBefore += lastProgress.linesRead;
+      eventsBefore += d3.sum(fileParser.getLabels(), label => fileParser.getLogEvents(label).length);
+    }
+
+    if(parser.labels.length == 0) {
+      throw new Exception("The parser RegExp you entered does not capture any events.", true);
+    }
+
+    for(let label in parser.executions) {
+      if(parser.executions[label].fileCount > 1) {
+        parser.executions[label].logEvents = MultiFileParser.mergeEvents(parser.executions[label].logEvents);
+      }
+    }
+  }
+
+  // Orders the events of multiple files so that an event never comes before an event that happened before it:
+  // the sum of a vector clock is larger than the sums of all clocks that happened before it.
+  // Concurrent events with the same sum keep their order.
+  static mergeEvents(events) {
+    let sums = new Map(events.map(d => [d, d3.sum(Object.values(d.vectorTimestamp.clock))]));
+    let positions = new Map(events.map((d,i) => [d, i]));
+
+    return events.slice().sort((a,b) => sums.get(a) - sums.get(b) || positions.get(a) - positions.get(b));
+  }
+
+  getLabels() {
+    return this.labels.slice();
+  }
+
+  getLogEvents(label) {
+    return this.executions[label] ? this.executions[label].logEvents : null;
+  }
+
+  // Same format as LogParser.getErrors() (with the file name of each error)
+  getErrors() {
+    return this.errors.slice();
+  }
+
+  // Same format as LogParser.getUnmatchedLines() (with the file name of each line)
+  getUnmatchedLines() {
+    return this.unmatched;
+  }
+}
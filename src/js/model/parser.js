@@ -29,12 +29,25 @@
  *            must contain the named capture groups "clock", "event", and "host"
  *            representing the vector clock, the event string, and the host
  *            respectively.
+ * @param {?Object} [options] additional parser options
+ * @param {?Function} [options.onProgress] called periodically with the number
+ *            of lines read (linesRead), the number of events parsed
+ *            (eventsParsed) and the fraction of the log processed (fraction)
+ * @param {Boolean} [options.lenient=false] if true, events with invalid vector
+ *            timestamps and executions without any events are skipped and the
+ *            errors are collected (see {@link LogParser#getErrors}) instead of
+ *            throwing an Exception
+ * @param {?ClockDecoder} [options.clockDecoder] the decoder of the clock
+ *            capture group (strict JSON by default)
  */
-function LogParser(rawString, delimiter, regexp) {
+function LogParser(rawString, delimiter, regexp, options) {
 
     /** @private */
     this.rawString = rawString.trim();
 
+    /** @private */
+    this.options = options || {};
+
     /** @private */
     this.delimiter = delimiter;
 
@@ -54,34 +67,134 @@ function LogParser(rawString, delimiter, regexp) {
         throw e;
     }
 
+    // Line numbers of events refer to the untrimmed raw log
+    var lineOffset = countNewlines(rawString, 0, rawString.length - rawString.replace(/^\s+/, "").length);
+
+    // Progress of the whole log (all executions)
+    var context = this;
+    var eventsParsed = 0;
+    function reportExecutionProgress(index, length) {
+        return function(progress) {
+            if (context.options.onProgress) {
+                context.options.onProgress({
+                    linesRead: progress.linesRead,
+                    eventsParsed: eventsParsed + progress.eventsParsed,
+                    fraction: (index + progress.fraction * length) / context.rawString.length
+                });
+            }
+        };
+    }
+
     if (this.delimiter != null) {
-        var currExecs = this.rawString.split(this.delimiter.no);
+        // Executions are the texts between delimiters. Their offsets in the raw log (for line numbers) are taken
+        // from the delimiter matches, searching for the text could find an earlier execution with the same text.
+        var currExecs = [];
         var currLabels = [ "" ];
+        var currStarts = [ 0 ];
 
-        if (this.delimiter.getNames().indexOf("trace") >= 0) {
-            var match;
-            while (match = this.delimiter.exec(this.rawString)) {
-                currLabels.push(match.trace);
-            }
+        var start = 0;
+        var match;
+        this.delimiter.reset();
+        while (match = this.delimiter.exec(this.rawString)) {
+            if (match[0].length == 0)
+                break;
+
+            currExecs.push(this.rawString.substring(start, match.index));
+            start = match.index + match[0].length;
+            currStarts.push(start);
+            currLabels.push(match.trace);
         }
+        currExecs.push(this.rawString.substring(start));
 
+        var index = 0;
         for (var i = 0; i < currExecs.length; i++) {
+            var execIndex = currStarts[i];
+            lineOffset += countNewlines(this.rawString, index, execIndex);
+            index = execIndex;
+
             if (currExecs[i].trim().length > 0) {
                 var currlabel = currLabels[i];
                 if(this.executions[currlabel]) {
                     throw new Exception("Execution names must be unique. There are multiple executions called \"" + currlabel + "\"", true);
                 }
-                this.executions[currlabel] = new ExecutionParser(currExecs[i], currlabel, regexp);
-                this.labels.push(currlabel);
+                this.addExecution(currlabel, new ExecutionParser(currExecs[i], currlabel, regexp, {
+                    lineOffset: lineOffset,
+                    lenient: this.options.lenient,
+                    clockDecoder: this.options.clockDecoder,
+                    onProgress: reportExecutionProgress(index, currExecs[i].length)
+                }));
+                eventsParsed += this.executions[currlabel].logEvents.length;
             }
         }
     }
     else {
-        this.labels.push("");
-        this.executions[""] = new ExecutionParser(this.rawString, "", regexp);
+        this.addExecution("", new ExecutionParser(this.rawString, "", regexp, {
+            lineOffset: lineOffset,
+            lenient: this.options.lenient,
+            clockDecoder: this.options.clockDecoder,
+            onProgress: reportExecutionProgress(0, this.rawString.length)
+        }));
+    }
+
+    if (this.labels.length == 0) {
+        throw new Exception("The parser RegExp you entered does not capture any events.", true);
     }
 }
 
+/**
+ * Adds a parsed execution. In lenient mode, executions without any events are
+ * skipped.
+ * 
+ * @private
+ * @param {String} label The label of the execution
+ * @param {ExecutionParser} execution The parsed execution
+ */
+LogParser.prototype.addExecution = function(label, execution) {
+    this.executions[label] = execution;
+    if (execution.logEvents.length > 0) {
+        this.labels.push(label);
+    }
+};
+
+/**
+ * Returns the errors that occurred while parsing in lenient mode. Each error
+ * contains the line number (lineNum), the label of the execution (label) and
+ * an {@link Exception} describing the error (exception). The errors are ordered
+ * by line number.
+ * 
+ * @returns {Array<Object>} The errors
+ */
+LogParser.prototype.getErrors = function() {
+    var errors = [];
+    for (var label in this.executions) {
+        errors = errors.concat(this.executions[label].errors);
+    }
+    return errors.sort(function(a, b) {
+        return a.lineNum - b.lineNum;
+    });
+};
+
+/**
+ * Returns the lines of the raw log that are not part of any event (i.e. not
+ * matched by the parser RegExp), ignoring empty lines. The number of listed
+ * lines is limited to {@link ExecutionParser.MAX_REPORTED_LINES} per
+ * execution.
+ * 
+ * @returns {Object} The number of unmatched lines (count) and the listed
+ *          lines (lines), each with its line number (lineNum) and text (text)
+ */
+LogParser.prototype.getUnmatchedLines = function() {
+    var unmatched = { count: 0, lines: [] };
+    for (var label in this.executions) {
+        unmatched.count += this.executions[label].unmatchedLineCount;
+        unmatched.lines = unmatched.lines.concat(this.executions[label].unmatchedLines);
+    }
+    unmatched.lines.sort(function(a, b) {
+        return a.lineNum - b.lineNum;
+    });
+    return unmatched;
+};
+
 /**
  * Gets all of the labels of the executions. The ordering of labels in the
  * returned array is guarenteed to be the same as the order in which they are
@@ -118,8 +231,29 @@ LogParser.prototype.getLogEvents = function(label) {
  * @param {String} rawString The raw string of the execution's log
  * @param {Label} label The label that should be associated with this execution
  * @param {NamedRegExp} regexp The RegExp parser
+ * @param {?Object} [options] The parser options
+ * @param {Number} [options.lineOffset=0] The number of lines preceding the
+ *            execution in the raw log
+ * @param {Boolean} [options.lenient=false] if true, invalid events are skipped
+ *            and collected as errors
+ * @param {?Function} [options.onProgress] called periodically with the number
+ *            of lines read, events parsed and the fraction of the execution
+ *            processed
+ * @param {Boolean} [options.chunk=false] if true, rawString is only a part of
+ *            the execution's text (see {@link LogStreamParser}) and may not
+ *            contain any events
+ * @param {?String} [options.file] the name of the log file that contains the
+ *            execution (stored in the parsed {@link LogEvent}s and errors)
+ * @param {?Number} [options.fileIndex] the position of this file among the
+ *            log files (stored in the parsed {@link LogEvent}s)
+ * @param {Boolean} [options.partial=false] if true, rawString may end in the
+ *            middle of an event. The last match is not parsed and the text from
+ *            its start on is left for the next chunk (see consumedLength)
+ * @param {?ClockDecoder} [options.clockDecoder] the decoder of the clock
+ *            capture group (strict JSON by default)
  */
-function ExecutionParser(rawString, label, regexp) {
+function ExecutionParser(rawString, label, regexp, options) {
+    options = options || {};
 
     /** @private */
     this.rawString = rawString;
@@ -133,10 +267,50 @@ function ExecutionParser(rawString, label, regexp) {
     /** @private */
     this.logEvents = [];
 
+    /** @private */
+    this.errors = [];
+
+    /** @private */
+    this.unmatchedLineCount = 0;
+
+    /** @private */
+    this.unmatchedLines = [];
+
+    /**
+     * The length of the text that was parsed (less than the length of
+     * rawString in partial mode)
+     * 
+     * @private
+     */
+    this.consumedLength = rawString.length;
+
+    var context = this;
+    var onProgress = options.onProgress;
+    var clockDecoder = options.clockDecoder || ClockDecoder.get("json");
     var match;
+    var ln = (options.lineOffset || 0) + 1;
+    var lastIndex = 0;
+    var lastEnd = 0;
+    var lastEndLine = ln;
+    var pending = null;
     while (match = regexp.exec(rawString)) {
-        var newlines = rawString.substr(0, match.index).match(/\n/g);
-        var ln = newlines ? newlines.length + 1 : 1;
+        // In partial mode, a match is only parsed when the next one is found
+        if (options.partial) {
+            var next = match;
+            match = pending;
+            pending = next;
+            if (!match)
+                continue;
+        }
+
+        // Only count the newlines since the previous match
+        ln += countNewlines(rawString, lastIndex, match.index);
+        lastIndex = match.index;
+        var lineCount = countNewlines(match[0], 0, match[0].length) + 1;
+
+        collectUnmatchedLines(lastEnd, match.index, lastEndLine);
+        lastEnd = match.index + match[0].length;
+        lastEndLine = ln + lineCount - 1;
 
         var clock = match.clock;
         var host = match.host;
@@ -150,23 +324,70 @@ function ExecutionParser(rawString, label, regexp) {
             fields[name] = match[name];
         });
 
-        var timestamp = parseTimestamp(clock, host, ln);
-        this.timestamps.push(timestamp);
-        this.logEvents.push(new LogEvent(event, timestamp, ln, fields));
+        try {
+            var timestamp = parseTimestamp(clock, host, ln);
+            this.timestamps.push(timestamp);
+            this.logEvents.push(new LogEvent(event, timestamp, ln, fields, lineCount, options.file, options.fileIndex));
+        }
+        catch (exception) {
+            if (!options.lenient)
+                throw exception;
+
+            this.errors.push({ lineNum: ln, label: label, file: options.file, exception: exception });
+        }
+
+        if (onProgress && (this.logEvents.length + this.errors.length) % ExecutionParser.PROGRESS_INTERVAL == 0) {
+            onProgress({ linesRead: ln, eventsParsed: this.logEvents.length, fraction: match.index / rawString.length });
+        }
     }
 
-    if (this.logEvents.length == 0)
-        throw new Exception("The parser RegExp you entered does not capture any events for the execution " + label, true);
+    if (options.partial) {
+        // Keep the text from the last match on (or everything if there is no match)
+        this.consumedLength = pending ? pending.index : 0;
+        if (pending)
+            collectUnmatchedLines(lastEnd, pending.index, lastEndLine);
+    }
+    else {
+        collectUnmatchedLines(lastEnd, rawString.length, lastEndLine);
+    }
+
+    if (onProgress) {
+        onProgress({ linesRead: ln, eventsParsed: this.logEvents.length, fraction: 1 });
+    }
+
+    if (this.logEvents.length == 0 && !options.chunk) {
+        var exception = new Exception("The parser RegExp you entered does not capture any events for the execution " + label, true);
+        if (!options.lenient)
+            throw exception;
+
+        this.errors.push({ lineNum: (options.lineOffset || 0) + 1, label: label, file: options.file, exception: exception });
+    }
+
+    // Non-empty lines between two matches (start: index in rawString, line: line number at start)
+    function collectUnmatchedLines(start, end, line) {
+        if (end - start < 2)
+            return;
+
+        var lines = rawString.substring(start, end).split("\n");
+        for (var i = 0; i < lines.length; i++) {
+            if (lines[i].trim().length > 0) {
+                context.unmatchedLineCount++;
+                if (context.unmatchedLines.length < ExecutionParser.MAX_REPORTED_LINES) {
+                    context.unmatchedLines.push({ lineNum: line + i, file: options.file, text: lines[i].substring(0, ExecutionParser.MAX_LINE_LENGTH) });
+                }
+            }
+        }
+    }
 
     function parseTimestamp(clockString, hostString, line) {
         try {
-            clock = JSON.parse(clockString);
+            clock = clockDecoder.decode(clockString);
         }
         catch (err) {
-            var exception = new Exception("An error occured while trying to parse the vector timestamp on line " + (line + 1) + ":");
+            var exception = new Exception("An error occured while trying to parse the vector timestamp on line " + line + ":");
             exception.append(clockString, "code");
-            exception.append("The error message from the JSON parser reads:\n");
-            exception.append(err.toString(), "italic");
+            exception.append("The error message from the " + clockDecoder.config.title + " decoder reads:\n");
+            exception.append(err.getMessage(), "italic");
             exception.setUserFriendly(true);
             throw exception;
         }
@@ -176,7 +397,7 @@ function ExecutionParser(rawString, label, regexp) {
             return ret;
         }
         catch (exception) {
-            exception.prepend("An error occured while trying to parse the vector timestamp on line " + (line + 1) + ":\n\n");
+            exception.prepend("An error occured while trying to parse the vector timestamp on line " + line + ":\n\n");
             exception.append(clockString, "code");
             exception.setUserFriendly(true);
             throw exception;
@@ -184,3 +405,46 @@ function ExecutionParser(rawString, label, regexp) {
     }
 
 }
+
+/**
+ * Number of parsed events between two progress updates
+ * 
+ * @private
+ * @static
+ */
+ExecutionParser.PROGRESS_INTERVAL = 1000;
+
+/**
+ * Maximum number of unmatched line numbers that are collected per execution
+ * 
+ * @private
+ * @static
+ */
+ExecutionParser.MAX_REPORTED_LINES = 1000;
+
+/**
+ * Maximum length of the text of reported unmatched lines
+ * 
+ * @private
+ * @static
+ */
+ExecutionParser.MAX_LINE_LENGTH = 200;
+
+/**
+ * Counts the newline characters in a part of a string
+ * 
+ * @private
+ * @param {String} string The string
+ * @param {Number} start The index to start counting (inclusive)
+ * @param {Number} end The index to stop counting (exclusive)
+ * @returns {Number} The number of newlines
+ */
+function countNewlines(string, start, end) {
+    var count = 0;
+    var index = string.indexOf("\n", start);
+    while (index >= 0 && index < end) {
+        count++;
+        index = string.indexOf("\n", index + 1);
+    }
+    return count;
+}
@@ -0,0 +1,111 @@
+/*
+ * Converts the value of a log field (named capture group) to physical time in milliseconds.
+ * The value is either a date string (optionally with a moment.js format) or an epoch number
+ * in seconds, milliseconds, microseconds or nanoseconds. Sub-millisecond precision is kept as fraction.
+ */
+class TimeParser {
+
+  constructor(_config) {
+    this.config = {
+      // Name of the capture group
+      field: _config.field || "date",
+      // moment.js format of date strings, e.g. "YYYY-MM-DD HH:mm:ss,SSS" (empty: ISO 8601 or RFC 2822)
+      format: _config.format || "",
+      // Epoch unit "s", "ms", "us" or "ns" (empty: date strings)
+      unit: _config.unit || "",
+      // "local", "UTC" or an offset such as "+02:00" (for date strings without offset and for display)
+      timezone: _config.timezone || "local"
+    }
+
+    if(this.config.unit && !(this.config.unit in TimeParser.UNITS)) {
+      throw new Exception("Unknown epoch unit \"" + this.config.unit + "\". Use one of: " + Object.keys(TimeParser.UNITS).join(", "), true);
+    }
+    if(this.config.timezone != "local" && this.config.timezone != "UTC" && !/^[+-]\d{2}:?\d{2}$/.test(this.config.timezone)) {
+      throw new Exception("Unknown timezone \"" + this.config.timezone + "\". Use \"local\", \"UTC\" or an offset such as \"+02:00\".", true);
+    }
+  }
+
+  // True if the event has a value for the time field
+  hasTime(event) {
+    let value = event.fields[this.config.field];
+    return value != undefined && value !== "";
+  }
+
+  // Time of an event in ms since epoch (NaN if the value can't be parsed)
+  parse(event) {
+    let value = String(event.fields[this.config.field]).trim();
+    return this.config.unit ? this.parseEpoch(value) : this.parseDate(value);
+  }
+
+  parseDate(value) {
+    let parser = this;
+    let timezone = parser.config.timezone;
+    let format = parser.config.format || moment.ISO_8601;
+
+    let date;
+    if(timezone == "local") {
+      date = moment(value, format);
+    } else {
+      // Keep the wall-clock time, but interpret it in the given timezone
+      date = moment.utc(value, format);
+      if(!parser.hasOffset(value)) {
+        date.utcOffset(timezone == "UTC" ? 0 : timezone, true);
+      }
+    }
+
+    // Fall back to the browser's date parser (e.g., "10/13/2014 04:23:20.113") if no format is given
+    if(!date.isValid() && !parser.config.format) {
+      date = moment(new Date(value));
+    }
+
+    return date.isValid() ? date.valueOf() : NaN;
+  }
+
+  // Large epochs (e.g., nanoseconds) exceed the precision of numbers, so the digits below
+  // one millisecond are converted separately
+  parseEpoch(value) {
+    let match = /^(-?)(\d+)(\.\d+)?$/.exec(value);
+    if(!match) return NaN;
+
+    let factor = TimeParser.UNITS[this.config.unit];
+    let sign = match[1] == "-" ? -1 : 1;
+    let integer = match[2];
+    let fraction = match[3] || "";
+
+    if(factor >= 1) {
+      return sign * Number(integer + fraction) * factor;
+    }
+
+    let digits = Math.round(-Math.log10(factor));
+    let ms = integer.length > digits ? Number(integer.substring(0, integer.length - digits)) : 0;
+    let subMs = Number(integer.substring(Math.max(0, integer.length - digits)) + fraction) * factor;
+    return sign * (ms + subMs);
+  }
+
+  hasOffset(value) {
+    return /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  }
+
+  // Date string (in the configured timezone) of a time in ms
+  format(time) {
+    let date = moment(time);
+    if(this.config.timezone == "UTC") {
+      date = date.utc();
+    } else if(this.config.timezone != "local") {
+      date = date.utcOffset(this.config.timezone);
+    }
+
+    let string = date.format("YYYY-MM-DD HH:mm:ss.SSS");
+
+    // Show microseconds of high-resolution epochs (times in ms are not precise enough for nanoseconds)
+    if(this.config.unit == "us" || this.config.unit == "ns") {
+      let us = Math.min(Math.round((time - Math.floor(time)) * 1000), 999);
+      string += String(us).padStart(3, "0");
+    }
+
+    return string;
+  }
+}
+
+// Milliseconds per epoch unit
+TimeParser.UNITS = { s: 1000, ms: 1, us: 1e-3, ns: 1e-6 };
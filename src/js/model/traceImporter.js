@@ -0,0 +1,401 @@
+/*
+ * Imports distributed traces (Jaeger JSON or OpenTelemetry OTLP JSON) as vector-clocked events: one execution per
+ * trace and one host per service (or service instance). Each span results in a start event, an event per span log
+ * and an end event. Vector clocks are derived from the events of each host (ordered by time) and the span tree:
+ * the start of a child span receives the clock of its parent's latest preceding event, the parent receives the
+ * clock of the child's end (except for FOLLOWS_FROM references). Provides the same results as LogParser.
+ */
+class TraceImporter {
+
+  constructor(_config) {
+    this.config = {
+      // "service" or "instance" (service and host name / instance id as host)
+      hosts: _config.hosts || "service",
+      // Skip invalid spans instead of throwing an exception
+      lenient: _config.lenient || false,
+      // Called with { linesRead, eventsParsed, fraction } while reading
+      onProgress: _config.onProgress
+    }
+
+    // Spans of all files by trace id
+    this.traces = new Map();
+    this.errors = [];
+    this.linesRead = 0;
+    this.spanCount = 0;
+  }
+
+  // Reads a File (or Blob) as a whole (the reader decompresses gzip files)
+  async addFile(file) {
+    let importer = this;
+    let chunks = [];
+
+    await new LogFileReader(file).read((text, progress) => {
+      chunks.push(text);
+      importer.reportProgress(progress.bytesRead / progress.size);
+    });
+    importer.addText(chunks.join(""), file.name);
+  }
+
+  // Jaeger: { data: [trace] }, [trace] or trace with spans and processes.
+  // OTLP: { resourceSpans } (also one such object per line as written by the OpenTelemetry file exporter)
+  addText(text, fileName) {
+    let importer = this;
+
+    let documents;
+    try {
+      documents = [JSON.parse(text)];
+    } catch(error) {
+      try {
+        documents = text.split("\n").filter(line => line.trim().length > 0).map(line => JSON.parse(line));
+      } catch(lineError) {
+        let exception = new Exception("The trace" + (fileName ? " in " + fileName : "") + " is not valid JSON:\n", true);
+        exception.append(error.toString(), "italic");
+        throw exception;
+      }
+    }
+
+    documents.forEach(document => {
+      let format = TraceImporter.getFormat(document);
+      if(format == "jaeger") {
+        let traces = Array.isArray(document) ? document : document.data || [document];
+        traces.forEach(trace => importer.addJaegerTrace(trace, fileName));
+      } else if(format == "otlp") {
+        importer.addOtlpSpans(document.resourceSpans, fileName);
+      } else {
+        throw new Exception("The file" + (fileName ? " " + fileName : "") + " is neither a Jaeger nor an OpenTelemetry (OTLP) JSON trace.", true);
+      }
+    });
+
+    importer.linesRead += countNewlines(text, 0, text.length) + 1;
+    importer.reportProgress(1);
+  }
+
+  // "jaeger", "otlp" or null
+  static getFormat(document) {
+    if(document == null || typeof document != "object") return null;
+    if(Array.isArray(document.resourceSpans)) return "otlp";
+
+    let traces = Array.isArray(document) ? document : document.data || [document];
+    return Array.isArray(traces) && traces.length > 0 && traces.every(d => d && Array.isArray(d.spans)) ? "jaeger" : null;
+  }
+
+  addJaegerTrace(trace, fileName) {
+    let importer = this;
+    let processes = trace.processes || {};
+
+    trace.spans.forEach(span => {
+      let process = span.process || processes[span.processID] || {};
+      let processTags = TraceImporter.getTags(process.tags);
+      let tags = TraceImporter.getTags(span.tags);
+
+      let references = span.references || [];
+      let parent = references.find(d => d.refType == "CHILD_OF") || references.find(d => d.refType == "FOLLOWS_FROM");
+
+      importer.addSpan({
+        traceId: span.traceID || trace.traceID,
+        spanId: span.spanID,
+        parentId: parent ? parent.spanID : span.parentSpanID || null,
+        followsFrom: !!parent && parent.refType == "FOLLOWS_FROM",
+        operation: span.operationName,
+        service: process.serviceName,
+        instance: processTags.hostname || processTags.ip || null,
+        kind: tags["span.kind"] || null,
+        error: tags.error === true || tags.error === "true",
+        start: String(span.startTime),
+        end: String(span.startTime + (span.duration || 0)),
+        logs: (span.logs || []).map(log => ({ time: String(log.timestamp), text: TraceImporter.getLogText(TraceImporter.getTags(log.fields)) }))
+      }, fileName);
+    });
+  }
+
+  addOtlpSpans(resourceSpans, fileName) {
+    let importer = this;
+
+    resourceSpans.forEach(resourceSpan => {
+      let resource = TraceImporter.getAttributes(resourceSpan.resource ? resourceSpan.resource.attributes : []);
+      let scopeSpans = resourceSpan.scopeSpans || resourceSpan.instrumentationLibrarySpans || [];
+
+      scopeSpans.forEach(scopeSpan => (scopeSpan.spans || []).forEach(span => {
+        let status = span.status || {};
+        importer.addSpan({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentId: span.parentSpanId || null,
+          followsFrom: false,
+          operation: span.name,
+          service: resource["service.name"],
+          instance: resource["service.instance.id"] || resource["host.name"] || null,
+          kind: TraceImporter.getOtlpKind(span.kind),
+          error: status.code == 2 || status.code == "STATUS_CODE_ERROR",
+          start: TraceImporter.nanosToMicros(span.startTimeUnixNano),
+          end: TraceImporter.nanosToMicros(span.endTimeUnixNano),
+          logs: (span.events || []).map(event => ({
+            time: TraceImporter.nanosToMicros(event.timeUnixNano),
+            text: event.name || TraceImporter.getLogText(TraceImporter.getAttributes(event.attributes))
+          }))
+        }, fileName);
+      }));
+    });
+  }
+
+  // Times are strings with microseconds since epoch (see TraceImporter.TIME)
+  addSpan(span, fileName) {
+    let importer = this;
+
+    if(!span.traceId || !span.spanId || isNaN(Number(span.start)) || isNaN(Number(span.end))) {
+      let exception = new Exception("Span " + (span.spanId || "without id") + (fileName ? " in " + fileName : "") + " does not have a trace id, span id, start and end time.", true);
+      if(!importer.config.lenient) throw exception;
+
+      importer.errors.push({ lineNum: 1, label: span.traceId || "", file: fileName, exception: exception });
+      return;
+    }
+
+    span.service = span.service || "unknown";
+    span.operation = span.operation || "";
+
+    if(!importer.traces.has(span.traceId)) {
+      importer.traces.set(span.traceId, new Map());
+    }
+    // Spans can appear in multiple files (e.g., exports of overlapping time ranges)
+    let spans = importer.traces.get(span.traceId);
+    if(!spans.has(span.spanId)) {
+      importer.spanCount++;
+    }
+    spans.set(span.spanId, span);
+  }
+
+  // Builds the events of all traces (after all files have been added)
+  build() {
+    let importer = this;
+
+    importer.labels = [];
+    importer.executions = {};
+
+    let traces = Array.from(importer.traces.entries()).map(([traceId, spans]) => ({ traceId: traceId, spans: Array.from(spans.values()) }));
+    traces.forEach(d => d.start = d3.min(d.spans, span => Number(span.start)));
+    traces.sort((a,b) => a.start - b.start);
+
+    traces.forEach(trace => {
+      let spansById = new Map(trace.spans.map(d => [d.spanId, d]));
+      let root = trace.spans.filter(d => !spansById.has(d.parentId)).sort((a,b) => Number(a.start) - Number(b.start))[0];
+
+      // Cyclic references don't have a root
+      let label = (root ? root.operation + " " : "") + "(" + trace.traceId + ")";
+      importer.labels.push(label);
+      importer.executions[label] = importer.buildTrace(trace.traceId, trace.spans, spansById);
+    });
+
+    if(importer.labels.length == 0) {
+      throw new Exception("The trace does not contain any spans.", true);
+    }
+  }
+
+  buildTrace(traceId, spans, spansById) {
+    let importer = this;
+
+    // Depth of spans in the span tree (parents before children at the same time)
+    let getDepth = (span, visited) => {
+      if(span.depth != undefined) return span.depth;
+      let parent = spansById.get(span.parentId);
+      span.depth = parent && !visited.has(parent) ? getDepth(parent, visited.add(span)) + 1 : 0;
+      return span.depth;
+    };
+
+    let events = [];
+    spans.forEach(span => {
+      getDepth(span, new Set());
+      span.host = importer.config.hosts == "instance" && span.instance ? span.service + "@" + span.instance : span.service;
+      span.events = [{ type: "start", rank: 0, time: span.start, text: "Start " + span.operation }]
+          .concat(span.logs.map(d => ({ type: "log", rank: 1, time: d.time, text: d.text })))
+          .concat([{ type: "end", rank: 2, time: span.end, text: "End " + span.operation + (span.error ? " (error)" : "") }]);
+      span.events.forEach(d => {
+        d.span = span;
+        d.host = span.host;
+        d.timeValue = Number(d.time);
+        d.senders = [];
+        d.receivers = [];
+        events.push(d);
+      });
+    });
+
+    // Events at the same time: starts before logs before ends, parents start first and end last
+    events.sort((a,b) => a.timeValue - b.timeValue || a.rank - b.rank
+        || (a.type == "end" ? b.span.depth - a.span.depth : a.span.depth - b.span.depth));
+
+    // Order of the events of each host
+    let lastEvent = new Map();
+    events.forEach(d => {
+      if(lastEvent.has(d.host)) {
+        importer.addDependency(lastEvent.get(d.host), d);
+      }
+      lastEvent.set(d.host, d);
+    });
+
+    // Messages between parent and child spans on different hosts
+    spans.forEach(span => {
+      let parent = spansById.get(span.parentId);
+      if(!parent || parent.host == span.host) return;
+
+      let start = span.events[0];
+      let end = span.events[span.events.length - 1];
+      let parentEvents = parent.events;
+
+      let sender = parentEvents.slice(0, -1).filter(d => d.timeValue <= start.timeValue).pop() || parentEvents[0];
+      importer.addDependency(sender, start);
+
+      if(!span.followsFrom) {
+        let receiver = parentEvents.slice(1).find(d => d.timeValue >= end.timeValue) || parentEvents[parentEvents.length - 1];
+        importer.addDependency(end, receiver);
+      }
+    });
+
+    let ordered = importer.orderEvents(events);
+
+    let logEvents = ordered.map((d,i) => {
+      let span = d.span;
+      let fields = {
+        host: d.host,
+        action: span.operation,
+        type: d.type,
+        service: span.service,
+        trace: traceId,
+        span: span.spanId,
+        parent: span.parentId || "",
+        status: span.error ? "error" : "ok",
+        timestamp: d.time
+      };
+      if(span.kind) fields.kind = span.kind;
+      if(span.instance) fields.instance = span.instance;
+      if(d.type == "end") fields.duration = String(Number(span.end) - Number(span.start));
+
+      return new LogEvent(d.text, new VectorTimestamp(d.clock, d.host), i + 1, fields, 1, null);
+    });
+
+    // The temporary event properties are not needed anymore
+    spans.forEach(span => delete span.events);
+    return { logEvents: logEvents };
+  }
+
+  addDependency(from, to) {
+    from.receivers.push(to);
+    to.senders.push(from);
+  }
+
+  // Computes the vector clocks in a causal order that follows the time order as far as possible.
+  // Dependencies that contradict each other (clock skew between hosts) are ignored.
+  orderEvents(events) {
+    let ordered = [];
+    let position = 0;
+
+    events.forEach((d,i) => {
+      d.index = i;
+      d.pending = d.senders.length;
+    });
+
+    let process = event => {
+      let stack = [event];
+      while(stack.length > 0) {
+        let d = stack.pop();
+        if(d.clock) continue;
+
+        let clock = {};
+        d.senders.filter(sender => sender.clock).forEach(sender => {
+          for(let host in sender.clock) {
+            clock[host] = Math.max(clock[host] || 0, sender.clock[host]);
+          }
+        });
+        clock[d.host] = (clock[d.host] || 0) + 1;
+        d.clock = clock;
+        ordered.push(d);
+
+        // Receivers that were skipped (see below) are processed as soon as they are ready
+        d.receivers.forEach(receiver => {
+          receiver.pending--;
+          if(receiver.pending == 0 && receiver.index < position) {
+            stack.push(receiver);
+          }
+        });
+      }
+    };
+
+    for(position = 0; position < events.length; position++) {
+      if(events[position].pending == 0) {
+        process(events[position]);
+      }
+    }
+
+    // Cyclic dependencies
+    position = events.length;
+    events.forEach(d => {
+      if(!d.clock) process(d);
+    });
+
+    return ordered;
+  }
+
+  reportProgress(fraction) {
+    if(this.config.onProgress) {
+      this.config.onProgress({ linesRead: this.linesRead, eventsParsed: this.spanCount, fraction: fraction });
+    }
+  }
+
+  getLabels() {
+    return this.labels.slice();
+  }
+
+  getLogEvents(label) {
+    return this.executions[label] ? this.executions[label].logEvents : null;
+  }
+
+  // Same format as LogParser.getErrors()
+  getErrors() {
+    return this.errors.slice();
+  }
+
+  // Traces don't have unmatched lines
+  getUnmatchedLines() {
+    return { count: 0, lines: [] };
+  }
+
+  // Key-value pairs of Jaeger tags ([{ key, type, value }])
+  static getTags(tags) {
+    let result = {};
+    (tags || []).forEach(d => result[d.key] = d.value);
+    return result;
+  }
+
+  // Key-value pairs of OTLP attributes ([{ key, value: { stringValue } }])
+  static getAttributes(attributes) {
+    let result = {};
+    (attributes || []).forEach(d => {
+      let value = d.value || {};
+      let types = ["stringValue", "intValue", "doubleValue", "boolValue"];
+      let type = types.find(type => type in value);
+      result[d.key] = type ? value[type] : JSON.stringify(value);
+    });
+    return result;
+  }
+
+  static getLogText(fields) {
+    if(fields.event != undefined) return String(fields.event);
+    if(fields.message != undefined) return String(fields.message);
+    return Object.keys(fields).map(key => key + "=" + fields[key]).join(" ");
+  }
+
+  static getOtlpKind(kind) {
+    let kinds = ["unspecified", "internal", "server", "client", "producer", "consumer"];
+    if(typeof kind == "number") return kinds[kind] || null;
+    return kind ? String(kind).replace(/^SPAN_KIND_/, "").toLowerCase() : null;
+  }
+
+  // Keeps the precision of nanosecond strings (numbers are not precise enough)
+  static nanosToMicros(nanos) {
+    let digits = String(nanos);
+    if(!/^\d+$/.test(digits)) return "NaN";
+    digits = digits.padStart(4, "0");
+    return String(Number(digits.substring(0, digits.length - 3))) + "." + digits.substring(digits.length - 3);
+  }
+}
+
+// Time field of the imported events (see TimeParser)
+TraceImporter.TIME = { field: "timestamp", unit: "us" };
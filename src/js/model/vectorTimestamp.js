@@ -172,23 +172,30 @@ VectorTimestamp.prototype.equals = function(other) {
  * to be concurrent if x does not happen before y AND y does not happen before x
  * </p>
  * 
+ * <p>
+ * Hosts that are missing in a clock have the clock value 0 (zero values are
+ * removed in the constructor).
+ * </p>
+ * 
  * @param {VectorTimestamp} other the timestamp to compare to
  * @returns {Number} the result of the comparison as defined above
  */
 VectorTimestamp.prototype.compareTo = function(other) {
     var thisFirst = false;
+    var otherFirst = false;
+
     for (var host in this.clock) {
-        if (other.clock[host] != undefined && this.clock[host] < other.clock[host]) {
+        if (this.clock[host] < (other.clock[host] || 0)) {
             thisFirst = true;
-            break;
+        }
+        else if (this.clock[host] > (other.clock[host] || 0)) {
+            otherFirst = true;
         }
     }
 
-    var otherFirst = false;
     for (var host in other.clock) {
-        if (this.clock[host] != undefined && other.clock[host] < this.clock[host]) {
-            otherFirst = true;
-            break;
+        if (this.clock[host] == undefined && other.clock[host] > 0) {
+            thisFirst = true;
         }
     }
 
@@ -95,6 +95,56 @@ NamedRegExp.prototype.test = function(string) {
     return this.no.test(string);
 };
 
+/**
+ * <p>
+ * Like {@link NamedRegExp#exec}, but the returned array additionally contains
+ * the position of each named capture group in the string: the property
+ * "groupIndices" maps each name to an array [start, end] (or undefined if the
+ * group did not participate in the match).
+ * </p>
+ * 
+ * <p>
+ * Requires browser support for RegExp match indices (flag "d").
+ * </p>
+ * 
+ * @param {String} string test string
+ * @returns {Array<String>} the match as returned by exec(), or null
+ */
+NamedRegExp.prototype.execWithIndices = function(string) {
+    if (!this.withIndices) {
+        this.withIndices = new RegExp(this.reg.source, this.reg.flags + "d");
+    }
+
+    var match = this.withIndices.exec(string);
+    if (!match)
+        return null;
+
+    match.groupIndices = {};
+    for (var i = 1; i < match.length; i++) {
+        match[this.names[i - 1]] = match[i];
+        match.groupIndices[this.names[i - 1]] = match.indices[i];
+    }
+
+    // Avoid endless loops for empty matches
+    if (match[0].length == 0) {
+        this.withIndices.lastIndex++;
+    }
+
+    return match;
+};
+
+/**
+ * Resets the position in the string from which the next call to exec() starts
+ * searching, e.g. before matching a different string
+ */
+NamedRegExp.prototype.reset = function() {
+    this.no.lastIndex = 0;
+    this.reg.lastIndex = 0;
+    if (this.withIndices) {
+        this.withIndices.lastIndex = 0;
+    }
+};
+
 /**
  * Gets array of capture group labels
  * 
@@ -67,39 +67,24 @@ class AdjacencyMatrix {
   wrangleDataAndUpdateScales() {
     let vis = this;  
     
-    vis.hosts = d3.map(vis.data, d => d.host).keys();
+    vis.hosts = d3.map(vis.data, d => d.displayHost).keys();
 
     // Clone object array and then sort by host name
     //vis.edges = Object.assign({}, vis.edges); 
 
-    vis.data.sort((a,b) => d3.ascending(a.host, b.host));
+    vis.data.sort((a,b) => d3.ascending(a.displayHost, b.displayHost));
 
 
-    // Count edges between host pair
+    // Count edges between host pair (diagonal: local connections, otherwise: one per external parent)
     let tmpData = {};
     vis.data.forEach(d => {
-      if(!d.happenedBefore) return;
-      let source = d.host;
-      let target = d.host;
-      let external = false;
-      if (d.happenedBefore.type == "external") {
-        target = d.happenedBefore.event.host;
-        external = true;
-      }
-      const key = source + ";" + target;
-      if (!(key in tmpData)) {
-        tmpData[key] = 0;
-      }
-      tmpData[key]++;
-
-      // Hack to count links only once (needs to be refactored)
-      if(external) {
-        const key = target + ";" + target;
+      d.happenedBefore.forEach(parent => {
+        const key = d.displayHost + ";" + parent.event.displayHost;
         if (!(key in tmpData)) {
           tmpData[key] = 0;
         }
-        tmpData[key]--;
-      }
+        tmpData[key]++;
+      });
     });
 
     // Transform associative to regular array
@@ -164,11 +149,19 @@ class AdjacencyMatrix {
         .attr("fill", d => vis.colorScale(d.value));
 
     cellEnter.merge(cell)
-        .on("mouseover", d => app.tooltip.showValue(d.value, { x: d3.event.pageX, y: d3.event.pageY }))
-        .on("mouseout", d => app.tooltip.hide());
+        .on("mouseover", d => {
+          app.tooltip.showValue(d.value, { x: d3.event.pageX, y: d3.event.pageY });
+          linkHostPair(d.source, d.target);
+        })
+        .on("mouseout", d => {
+          app.tooltip.hide();
+          setLinkedHighlight(null);
+        });
     
     cell.exit().remove();
 
+    vis.updateLinkedHighlight();
+
     // Draw axes and grid lines
     vis.yAxisGroup.call(vis.yAxis);
     vis.xAxisGroup.call(vis.xAxis)
@@ -209,6 +202,12 @@ class AdjacencyMatrix {
     gridlineY.exit().remove();
   }
 
+  // Host pairs of the events that are linked to the hovered element of another view (see setLinkedHighlight)
+  updateLinkedHighlight() {
+    this.matrix.selectAll(".cell")
+        .classed("linked", d => !!app.linked && app.linked.pairs.has(d.source + ";" + d.target));
+  }
+
   updateLegend() {
     let vis = this;
 
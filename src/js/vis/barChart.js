@@ -115,14 +115,22 @@ class BarChart {
         .attr("height", vis.config.barHeight-1);
 
     barEnter.merge(bar)
-        .on("mouseover", d => app.tooltip.showValue(d[vis.config.x], { x: d3.event.pageX, y: d3.event.pageY }))
-        .on("mouseout", d => app.tooltip.hide())
+        .on("mouseover", d => {
+          app.tooltip.showValue(d[vis.config.x], { x: d3.event.pageX, y: d3.event.pageY });
+          linkChartValue(vis.config.id, d[vis.config.y]);
+        })
+        .on("mouseout", d => {
+          app.tooltip.hide();
+          setLinkedHighlight(null);
+        })
         .on("click", function(d) {
           vis.updateFilter(d);
         });
     
     bar.exit().remove();
 
+    vis.updateLinkedHighlight();
+
     // Draw axes and grid lines
     vis.yAxisGroup.call(vis.yAxis);
     vis.xAxisGroup.call(vis.xAxis);
@@ -139,6 +147,13 @@ class BarChart {
     }
   }
 
+  // Hosts or values (config.id) of the events that are linked to the hovered element of another view (see setLinkedHighlight)
+  updateLinkedHighlight() {
+    let vis = this;
+    vis.focus.selectAll(".bar-active")
+        .classed("linked", d => !!app.linked && app.linked[vis.config.id].has(d[vis.config.y]));
+  }
+
   updateFilter(d) {
     let vis = this;
     Util.toggleArrayElement(app.filter[vis.config.id], d[vis.config.y]);
@@ -6,7 +6,20 @@ class DirectedAcyclicGraph {
       maxHostWidth: 90,
       //maxCellHeight: 25,
       maxWidth: 600,
-      maxDelta: 100
+      maxDelta: 100,
+      // Larger selections are drawn on a canvas instead of SVG elements
+      maxSvgNodes: 500,
+      // Maximum distance (px) between the mouse and a node on the canvas
+      hitRadius: 8,
+      // Canvas colors (same as the CSS classes of the SVG elements)
+      colors: { node: "#aec7cc", highlighted: "#e0633a", linked: "#5f8a94", connection: "#ccc", path: "#555", segment: "#d3e1e4", label: "#666" },
+      // Opacity of nodes and connections outside of the causal path (see setCausalPath)
+      dimmedOpacity: 0.15,
+      // Semantic zoom: below this distance (px) between two positions, runs of at least minSegmentLength local
+      // events are drawn as one segment; from minLabelDistance on, the nodes are labeled with the event text
+      minNodeDistance: 6,
+      minSegmentLength: 3,
+      minLabelDistance: 16
     }
     
     this.config.margin = _config.margin || { top: 80, bottom: 20, right: 0, left: 10 };
@@ -30,14 +43,81 @@ class DirectedAcyclicGraph {
     vis.xAxis = d3.axisTop(vis.xScale);
     vis.xAxisGroup = vis.focus.append("g")
         .attr("class", "axis axis--x hide-path");
+
+    // Zoomed content is clipped below the axis
+    vis.clipRect = vis.svg.append("clipPath")
+        .attr("id", "dag-clip")
+      .append("rect");
+
+    vis.gridLayer = vis.focus.append("g");
+    vis.plot = vis.focus.append("g")
+        .attr("clip-path", "url(#dag-clip)");
+    vis.connectionLayer = vis.plot.append("g");
+    vis.segmentLayer = vis.plot.append("g");
+    vis.nodeLayer = vis.plot.append("g");
+    vis.labelLayer = vis.plot.append("g");
+
+    // Canvas on top of the SVG (axis and gridlines are always SVG elements)
+    vis.canvas = d3.select(vis.config.parentElement).append("canvas")
+        .attr("class", "dag-canvas")
+        .attr("hidden", true);
+
+    // Hit-testing with a quadtree of the node positions
+    vis.canvas
+        .on("mousemove", () => {
+          const d = vis.findNode(d3.mouse(vis.canvas.node()));
+          vis.canvas.classed("hover", !!d);
+          if(d && d.nodes) {
+            vis.showSegmentTooltip(d);
+          } else if(d) {
+            app.tooltip.showEvent(d, { x: d3.event.pageX, y: d3.event.pageY });
+          } else {
+            app.tooltip.hide();
+          }
+
+          // The canvas is only redrawn when another node is hovered
+          if(d !== vis.hoveredNode) {
+            vis.hoveredNode = d;
+            if(d) {
+              linkEvents(d.nodes || [d]);
+            } else {
+              setLinkedHighlight(null);
+            }
+          }
+        })
+        .on("mouseout", () => {
+          app.tooltip.hide();
+          vis.hoveredNode = null;
+          setLinkedHighlight(null);
+        })
+        .on("click", () => {
+          const d = vis.findNode(d3.mouse(vis.canvas.node()));
+          if(d && d.nodes) {
+            vis.zoomToSegment(d);
+          } else if(d) {
+            vis.selectNode(d);
+          }
+        });
+
+    // Vertical zoom and pan (mouse wheel and drag) of SVG and canvas
+    vis.zoomTransform = d3.zoomIdentity;
+    vis.zoom = d3.zoom()
+        .on("zoom", () => {
+          vis.zoomTransform = d3.event.transform;
+          if(!vis.resettingZoom) {
+            vis.updateVis(false);
+          }
+        });
+
+    d3.select(vis.config.parentElement)
+        .call(vis.zoom)
+        .on("dblclick.zoom", null);
   }
   
   wrangleDataAndUpdateScales() {
     let vis = this;
 
-    $(vis.config.parentElement).show();
-
-    vis.hosts = d3.map(vis.nodes, d => d.host).keys();
+    vis.hosts = d3.map(vis.nodes, d => d.displayHost).keys();
    
     if((vis.hosts.length * vis.config.maxHostWidth) < vis.config.maxWidth) {
       vis.config.width = vis.hosts.length * vis.config.maxHostWidth;
@@ -71,15 +151,87 @@ class DirectedAcyclicGraph {
     vis.config.delta = Math.min(vis.config.maxDelta, vis.config.height / maxPos);
     vis.config.hostWidth = vis.xScale.bandwidth();
    
+    vis.clipRect
+        .attr("x", -vis.config.margin.left)
+        .attr("y", -vis.config.hitRadius)
+        .attr("width", vis.config.containerWidth)
+        .attr("height", vis.config.height + 2 * vis.config.hitRadius);
+
+    // Zoom in until the nodes are labeled (zoom and pan are limited to the plot area)
+    const top = vis.config.margin.top;
+    vis.zoom
+        .scaleExtent([1, Math.max(1, 2 * vis.config.minLabelDistance / vis.config.delta)])
+        .extent([[0, top], [vis.config.containerWidth, top + vis.config.height]])
+        .translateExtent([[-Infinity, top], [Infinity, top + vis.config.height]]);
+
+    // The zoom is kept as long as the vertical extent stays the same (e.g., when events are highlighted)
+    if(!vis.yDomain || vis.yDomain[0] != yPosExtent[0] || vis.yDomain[1] != yPosExtent[1]) {
+      vis.resettingZoom = true;
+      d3.select(vis.config.parentElement).call(vis.zoom.transform, d3.zoomIdentity);
+      vis.resettingZoom = false;
+    }
+    vis.yDomain = yPosExtent;
+
+    vis.segments = vis.getLocalSegments();
+
     vis.updateVis();
   }
   
-  updateVis() {
+  // Runs of consecutive events of a host without connections to other hosts (highlighted events and the selected nodes
+  // of the causal path are not part of runs)
+  getLocalSegments() {
     let vis = this;
+    let connected = new Set();
+    vis.edges.forEach(d => {
+      connected.add(d.source);
+      connected.add(d.target);
+    });
 
-    if(vis.nodes.length > 500) {
-      $(vis.config.parentElement).hide();
-    }
+    let segments = [];
+    d3.nest()
+        .key(d => d.host)
+        .entries(vis.nodes)
+        .forEach(host => {
+          let run = [];
+          const endRun = () => {
+            if(run.length >= vis.config.minSegmentLength) {
+              segments.push({ id: run[0].id, host: host.key, displayHost: run[0].displayHost, nodes: run });
+            }
+            run = [];
+          };
+
+          host.values.sort((a,b) => a.pos - b.pos).forEach(d => {
+            if(connected.has(d) || (app.highlight && app.highlight.has(d)) || (app.causalPath && app.causalPath.nodes.includes(d))) {
+              endRun();
+            } else {
+              run.push(d);
+            }
+          });
+          endRun();
+        });
+
+    return segments;
+  }
+
+  // Vertical position of an event position in the zoomed plot (the zoom works in coordinates of the container)
+  getY(pos) {
+    const top = this.config.margin.top;
+    return this.zoomTransform.applyY(this.yScale(pos) + top) - top;
+  }
+
+  // animate: false while zooming
+  updateVis(animate) {
+    let vis = this;
+    const transition = selection => animate === false ? selection : selection.transition();
+
+    // Semantic zoom: segments of local events at low zoom levels, labels at high zoom levels
+    const distance = vis.config.delta * vis.zoomTransform.k;
+    vis.visibleSegments = distance < vis.config.minNodeDistance ? vis.segments : [];
+    vis.showLabels = distance >= vis.config.minLabelDistance;
+
+    let segmentNodes = new Set();
+    vis.visibleSegments.forEach(segment => segment.nodes.forEach(d => segmentNodes.add(d)));
+    vis.visibleNodes = segmentNodes.size > 0 ? vis.nodes.filter(d => !segmentNodes.has(d)) : vis.nodes;
 
     // Update axis
     vis.xAxisGroup.call(vis.xAxis)
@@ -90,22 +242,31 @@ class DirectedAcyclicGraph {
         .attr("transform", "translate(-10,-10) rotate(90)");
 
     // Vertical lines
-    let hostLine = vis.focus.selectAll(".gridline")
+    let hostLine = vis.gridLayer.selectAll(".gridline")
       .data(vis.hosts);
 
     let hostLineEnter = hostLine.enter().append("line")
         .attr("class", "gridline")
     
-    hostLineEnter.merge(hostLine)
-      .transition()
+    transition(hostLineEnter.merge(hostLine))
         .attr("x1", d => vis.xScale(d) + vis.config.hostWidth/2)
         .attr("x2", d => vis.xScale(d) + vis.config.hostWidth/2)
         .attr("y2", vis.config.height);
     
     hostLine.exit().remove();
 
+    vis.useCanvas = vis.nodes.length > vis.config.maxSvgNodes;
+    vis.canvas.attr("hidden", vis.useCanvas ? null : true);
+
+    if(vis.useCanvas) {
+      vis.plot.selectAll(".connection, .segment, .node, .node-label").remove();
+      vis.drawCanvas();
+      return;
+    }
+    vis.quadtree = null;
+
     // Draw connection
-    let connection = vis.focus.selectAll(".connection")
+    let connection = vis.connectionLayer.selectAll(".connection")
       .data(vis.edges, d => {
         return d.id;
       });
@@ -113,35 +274,283 @@ class DirectedAcyclicGraph {
     let connectionEnter = connection.enter().append("line")
         .attr("class", "connection")
     
-    connectionEnter.merge(connection)
-      .transition()
-        .attr("x1", d => vis.xScale(d.host) + vis.config.hostWidth/2)
-        .attr("y1", d => vis.yScale(d.pos))
-        .attr("x2", d => vis.xScale(d.happenedBefore.event.host) + vis.config.hostWidth/2)
-        .attr("y2", d => vis.yScale(d.happenedBefore.event.pos));
+    transition(connectionEnter.merge(connection))
+        .attr("x1", d => vis.xScale(d.target.displayHost) + vis.config.hostWidth/2)
+        .attr("y1", d => vis.getY(d.target.pos))
+        .attr("x2", d => vis.xScale(d.source.displayHost) + vis.config.hostWidth/2)
+        .attr("y2", d => vis.getY(d.source.pos));
     
     connection.exit().remove();
 
+    // Draw segments of local events
+    let segment = vis.segmentLayer.selectAll(".segment")
+      .data(vis.visibleSegments, d => d.id);
+
+    let segmentEnter = segment.enter().append("rect")
+        .attr("class", "segment")
+        .attr("rx", 3);
+
+    segmentEnter.merge(segment)
+        .attr("x", d => vis.xScale(d.displayHost) + vis.config.hostWidth/2 - 3)
+        .attr("y", d => vis.getY(d.nodes[0].pos) - 3)
+        .attr("width", 6)
+        .attr("height", d => vis.getY(d.nodes[d.nodes.length-1].pos) - vis.getY(d.nodes[0].pos) + 6)
+        .on("mouseover", d => {
+          vis.showSegmentTooltip(d);
+          linkEvents(d.nodes);
+        })
+        .on("mouseout", d => {
+          app.tooltip.hide();
+          setLinkedHighlight(null);
+        })
+        .on("click", d => vis.zoomToSegment(d));
+
+    segment.exit().remove();
 
     // Draw nodes
-    let node = vis.focus.selectAll(".node")
-      .data(vis.nodes, d => {
+    let node = vis.nodeLayer.selectAll(".node")
+      .data(vis.visibleNodes, d => {
         return d.id;
       });
 
     let nodeEnter = node.enter().append("circle")
         .attr("class", "node fill-default")
     
-    nodeEnter.merge(node)
-      .transition()
-        .attr("cx", d => vis.xScale(d.host) + vis.config.hostWidth/2)
-        .attr("cy", d => vis.yScale(d.pos))
-        .attr("r", 4);
+    transition(nodeEnter.merge(node))
+        .attr("cx", d => vis.xScale(d.displayHost) + vis.config.hostWidth/2)
+        .attr("cy", d => vis.getY(d.pos))
+        .attr("r", d => vis.getRadius(d, 4));
     
     nodeEnter.merge(node)
-        .on("mouseover", d => app.tooltip.showEvent(d, { x: d3.event.pageX, y: d3.event.pageY }))
-        .on("mouseout", d => app.tooltip.hide());
+        .classed("highlighted", d => app.highlight && app.highlight.has(d))
+        .on("mouseover", d => {
+          app.tooltip.showEvent(d, { x: d3.event.pageX, y: d3.event.pageY });
+          linkEvents([d]);
+        })
+        .on("mouseout", d => {
+          app.tooltip.hide();
+          setLinkedHighlight(null);
+        })
+        .on("click", d => vis.selectNode(d));
     
     node.exit().remove();
+
+    // Draw labels
+    let label = vis.labelLayer.selectAll(".node-label")
+      .data(vis.showLabels ? vis.getLabeledNodes() : [], d => d.id);
+
+    let labelEnter = label.enter().append("text")
+        .attr("class", "node-label")
+        .attr("dy", ".35em");
+
+    labelEnter.merge(label)
+        .attr("x", d => vis.xScale(d.displayHost) + vis.config.hostWidth/2 + 7)
+        .attr("y", d => vis.getY(d.pos))
+        .text(d => vis.getLabel(d));
+
+    label.exit().remove();
+
+    vis.updateLinkedHighlight();
+    vis.updateCausalPath();
+  }
+
+  // Click on a node: causal path mode (the shift key pins a second node) or causal filter
+  selectNode(d) {
+    if(app.causalPathMode) {
+      setCausalPath(d, d3.event.shiftKey);
+    } else {
+      setCausalFilter(d);
+    }
+  }
+
+  // Dim everything outside of the causal path (see setCausalPath)
+  updateCausalPath() {
+    let vis = this;
+
+    vis.connectionLayer.selectAll(".connection")
+        .classed("causal-path", d => vis.isCausalPathEdge(d))
+        .classed("dimmed", d => !!app.causalPath && !vis.isCausalPathEdge(d));
+    vis.segmentLayer.selectAll(".segment")
+        .classed("dimmed", d => vis.isDimmed(d));
+    vis.nodeLayer.selectAll(".node")
+        .classed("dimmed", d => vis.isDimmed(d));
+    vis.labelLayer.selectAll(".node-label")
+        .classed("dimmed", d => vis.isDimmed(d));
+  }
+
+  // Node or segment (if none of its nodes) is not part of the causal path
+  isDimmed(d) {
+    if(!app.causalPath) return false;
+    return d.nodes ? !d.nodes.some(node => app.causalPath.events.has(node)) : !app.causalPath.events.has(d);
+  }
+
+  isCausalPathEdge(d) {
+    return !!app.causalPath && app.causalPath.events.has(d.source) && app.causalPath.events.has(d.target);
+  }
+
+  // Events that are linked to the hovered element of another view (see setLinkedHighlight)
+  updateLinkedHighlight() {
+    let vis = this;
+    if(vis.useCanvas) {
+      vis.drawCanvas();
+      return;
+    }
+
+    vis.segmentLayer.selectAll(".segment")
+        .classed("linked", d => vis.isLinked(d));
+    vis.nodeLayer.selectAll(".node")
+        .classed("linked", d => vis.isLinked(d));
+  }
+
+  // Node or segment (if one of its nodes) is linked
+  isLinked(d) {
+    if(!app.linked) return false;
+    return d.nodes ? d.nodes.some(node => app.linked.ids.has(node.id)) : app.linked.ids.has(d.id);
+  }
+
+  drawCanvas() {
+    let vis = this;
+    const ratio = window.devicePixelRatio || 1;
+    const colors = vis.config.colors;
+
+    vis.canvas
+        .attr("width", vis.config.containerWidth * ratio)
+        .attr("height", vis.config.containerHeight * ratio)
+        .style("width", vis.config.containerWidth + "px")
+        .style("height", vis.config.containerHeight + "px");
+
+    let context = vis.canvas.node().getContext("2d");
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, vis.config.containerWidth * ratio, vis.config.containerHeight * ratio);
+    context.setTransform(ratio, 0, 0, ratio, vis.config.margin.left * ratio, vis.config.margin.top * ratio);
+
+    // Same clipping as the SVG plot
+    context.save();
+    context.beginPath();
+    context.rect(-vis.config.margin.left, -vis.config.hitRadius, vis.config.containerWidth, vis.config.height + 2 * vis.config.hitRadius);
+    context.clip();
+
+    const x = d => vis.xScale(d.displayHost) + vis.config.hostWidth/2;
+    const y = d => vis.getY(d.pos);
+    const isVisible = yPos => yPos >= -vis.config.hitRadius && yPos <= vis.config.height + vis.config.hitRadius;
+
+    // Connections (outside of the causal path dimmed, on the causal path drawn last)
+    const getConnectionType = d => !app.causalPath ? "connection" : vis.isCausalPathEdge(d) ? "path" : "dimmed";
+    ["dimmed", "connection", "path"].forEach(type => {
+      context.beginPath();
+      vis.edges.forEach(d => {
+        const y1 = y(d.target);
+        const y2 = y(d.source);
+        if(getConnectionType(d) != type || (y1 < 0 && y2 < 0) || (y1 > vis.config.height && y2 > vis.config.height)) return;
+        context.moveTo(x(d.target), y1);
+        context.lineTo(x(d.source), y2);
+      });
+      context.globalAlpha = type == "dimmed" ? vis.config.dimmedOpacity : 1;
+      context.lineWidth = type == "path" ? 2 : 1;
+      context.strokeStyle = type == "path" ? colors.path : colors.connection;
+      context.stroke();
+    });
+
+    // Segments of local events
+    vis.visibleSegments.forEach(d => {
+      const y1 = y(d.nodes[0]);
+      const y2 = y(d.nodes[d.nodes.length-1]);
+      context.globalAlpha = vis.isDimmed(d) ? vis.config.dimmedOpacity : 1;
+      context.fillStyle = vis.isLinked(d) ? colors.linked : colors.segment;
+      context.fillRect(x(d.nodes[0]) - 3, y1 - 3, 6, y2 - y1 + 6);
+    });
+
+    // Nodes get smaller when they are close to each other, highlighted and linked nodes are drawn last
+    const radius = Math.max(1.5, Math.min(4, vis.config.delta * vis.zoomTransform.k / 2));
+    const getColor = d => vis.isLinked(d) ? "linked" : app.highlight && app.highlight.has(d) ? "highlighted" : "node";
+    [true, false].forEach(dimmed => ["node", "highlighted", "linked"].forEach(color => {
+      context.beginPath();
+      vis.visibleNodes.forEach(d => {
+        if(vis.isDimmed(d) != dimmed || getColor(d) != color || !isVisible(y(d))) return;
+        const r = vis.getRadius(d, radius);
+        context.moveTo(x(d) + r, y(d));
+        context.arc(x(d), y(d), r, 0, 2 * Math.PI);
+      });
+      context.globalAlpha = dimmed ? vis.config.dimmedOpacity : 1;
+      context.fillStyle = colors[color];
+      context.fill();
+    }));
+    context.globalAlpha = 1;
+
+    if(vis.showLabels) {
+      context.font = "10px sans-serif";
+      context.textBaseline = "middle";
+      context.fillStyle = colors.label;
+      vis.getLabeledNodes().forEach(d => {
+        context.globalAlpha = vis.isDimmed(d) ? vis.config.dimmedOpacity : 1;
+        context.fillText(vis.getLabel(d), x(d) + 7, y(d));
+      });
+      context.globalAlpha = 1;
+    }
+
+    context.restore();
+
+    // Built on demand (see findNode)
+    vis.quadtree = null;
+  }
+
+  // Node or segment next to the mouse position (relative to the canvas) or undefined
+  findNode(mouse) {
+    let vis = this;
+    if(!vis.useCanvas) return;
+
+    const mouseX = mouse[0] - vis.config.margin.left;
+    const mouseY = mouse[1] - vis.config.margin.top;
+    if(mouseY < -vis.config.hitRadius || mouseY > vis.config.height + vis.config.hitRadius) return;
+
+    if(!vis.quadtree) {
+      vis.quadtree = d3.quadtree()
+          .x(d => vis.xScale(d.displayHost) + vis.config.hostWidth/2)
+          .y(d => vis.getY(d.pos))
+          .addAll(vis.visibleNodes);
+    }
+
+    let node = vis.quadtree.find(mouseX, mouseY, vis.config.hitRadius);
+    if(node) return node;
+
+    return vis.visibleSegments.find(d => Math.abs(vis.xScale(d.displayHost) + vis.config.hostWidth/2 - mouseX) <= vis.config.hitRadius
+        && mouseY >= vis.getY(d.nodes[0].pos) - 3 && mouseY <= vis.getY(d.nodes[d.nodes.length-1].pos) + 3);
+  }
+
+  // Merged nodes of collapsed local events (see ModelGraph.collapseLocalEvents) grow with their number of events
+  getRadius(d, radius) {
+    if(!(d instanceof ModelNode)) return radius;
+    return Math.min(2.5 * radius, radius + Math.sqrt(d.getLogEventCount()) / 2);
+  }
+
+  // Nodes in the visible part of the zoomed plot
+  getLabeledNodes() {
+    let vis = this;
+    return vis.visibleNodes.filter(d => {
+      const y = vis.getY(d.pos);
+      return y >= 0 && y <= vis.config.height;
+    });
+  }
+
+  // Event text that fits next to the node (about 6px per character)
+  getLabel(d) {
+    const maxLength = Math.max(4, Math.floor((this.config.hostWidth - 10) / 6));
+    return d.text.length > maxLength ? d.text.substring(0, maxLength - 1) + "…" : d.text;
+  }
+
+  showSegmentTooltip(segment) {
+    app.tooltip.showValue(segment.nodes.length + " local events of " + segment.host + " (click to zoom in)", { x: d3.event.pageX, y: d3.event.pageY });
+  }
+
+  // Zoom in until the events of the segment are drawn individually (centered vertically)
+  zoomToSegment(segment) {
+    let vis = this;
+    const top = vis.config.margin.top;
+    const k = Math.min(vis.zoom.scaleExtent()[1], 2 * vis.config.minNodeDistance / vis.config.delta);
+    const center = vis.yScale((segment.nodes[0].pos + segment.nodes[segment.nodes.length-1].pos) / 2) + top;
+
+    d3.select(vis.config.parentElement)
+      .transition()
+        .call(vis.zoom.transform, d3.zoomIdentity.translate(0, top + vis.config.height / 2 - center * k).scale(k));
   }
 }
@@ -0,0 +1,174 @@
+class ParserPreview {
+
+  constructor(_config) {
+    this.config = {
+      parentElement: _config.parentElement,
+      maxLines: _config.maxLines || 50,
+      requiredGroups: ["host", "clock", "event"]
+    }
+
+    this.initVis();
+  }
+
+  initVis() {
+    let vis = this;
+
+    vis.container = d3.select(vis.config.parentElement);
+    vis.message = vis.container.append("div")
+        .attr("class", "parser-preview-message");
+    vis.legend = vis.container.append("div")
+        .attr("class", "parser-preview-legend");
+    vis.text = vis.container.append("pre")
+        .attr("class", "parser-preview-text");
+    vis.droppedLines = vis.container.append("div")
+        .attr("class", "parser-preview-dropped");
+
+    vis.colorScale = d3.scaleOrdinal(d3.schemePastel1);
+  }
+
+  // Run the parser regex against the first lines of the log
+  wrangleData() {
+    let vis = this;
+
+    vis.error = null;
+    vis.matches = [];
+    vis.dropped = [];
+
+    // First lines of the log (without splitting the whole log)
+    let excerptEnd = -1;
+    for(let i = 0; i < vis.config.maxLines; i++) {
+      excerptEnd = vis.log.indexOf("\n", excerptEnd + 1);
+      if(excerptEnd < 0) break;
+    }
+    vis.excerpt = excerptEnd < 0 ? vis.log : vis.log.substring(0, excerptEnd);
+
+    if(vis.parser == "" || vis.excerpt.trim() == "") {
+      vis.updateVis();
+      return;
+    }
+
+    try {
+      vis.regexp = new NamedRegExp(vis.parser, "m");
+      vis.regexp.reset();
+
+      let match;
+      while(match = vis.regexp.execWithIndices(vis.excerpt)) {
+        vis.matches.push(match);
+      }
+    } catch(exception) {
+      vis.error = exception instanceof Exception ? exception : new Exception(exception.toString());
+      vis.updateVis();
+      return;
+    }
+
+    // Non-empty lines that are not part of any match
+    let end = 0;
+    let lineNum = 1;
+    vis.matches.concat([{ index: vis.excerpt.length, 0: "" }]).forEach(match => {
+      vis.excerpt.substring(end, match.index).split("\n").forEach((line, i) => {
+        if(line.trim().length > 0) {
+          vis.dropped.push({ lineNum: lineNum + i, text: line });
+        }
+      });
+      lineNum += vis.countLines(vis.excerpt.substring(end, match.index + match[0].length)) - 1;
+      end = match.index + match[0].length;
+    });
+
+    vis.colorScale.domain(vis.regexp.getNames());
+
+    vis.updateVis();
+  }
+
+  updateVis() {
+    let vis = this;
+
+    vis.legend.html("");
+    vis.text.html("");
+    vis.droppedLines.html("");
+
+    if(vis.error) {
+      vis.message.attr("class", "parser-preview-message uk-text-danger").html(vis.error.getHTMLMessage());
+      return;
+    }
+
+    if(vis.matches.length == 0) {
+      vis.message.attr("class", "parser-preview-message uk-text-muted")
+          .text(vis.parser == "" ? "" : "No events found in the first " + vis.config.maxLines + " lines.");
+      vis.text.text(vis.excerpt);
+      return;
+    }
+
+    // Summary and missing groups
+    let names = vis.regexp.getNames();
+    let missing = vis.config.requiredGroups.filter(d => !names.includes(d));
+    let message = vis.matches.length + " events in the first " + vis.config.maxLines + " lines";
+    if(missing.length > 0) {
+      message += " – missing required groups: " + missing.join(", ");
+    }
+    vis.message.attr("class", "parser-preview-message " + (missing.length > 0 ? "uk-text-warning" : "uk-text-muted"))
+        .text(message);
+
+    // Legend with one color per named group
+    vis.legend.selectAll(".parser-preview-group")
+        .data(names)
+      .enter().append("span")
+        .attr("class", "parser-preview-group")
+        .style("background", d => vis.colorScale(d))
+        .text(d => d);
+
+    // Log excerpt with highlighted groups
+    let html = "";
+    let end = 0;
+    vis.matches.forEach(match => {
+      html += '<span class="parser-preview-unmatched">' + vis.escape(vis.excerpt.substring(end, match.index)) + '</span>';
+      html += vis.highlightGroups(match);
+      end = match.index + match[0].length;
+    });
+    html += '<span class="parser-preview-unmatched">' + vis.escape(vis.excerpt.substring(end)) + '</span>';
+    vis.text.html(html);
+
+    // Lines that would be dropped
+    if(vis.dropped.length > 0) {
+      vis.droppedLines.append("div")
+          .attr("class", "uk-text-warning")
+          .text(vis.dropped.length + " lines are not matched and would be dropped:");
+      vis.droppedLines.selectAll(".parser-preview-dropped-line")
+          .data(vis.dropped)
+        .enter().append("div")
+          .attr("class", "parser-preview-dropped-line")
+          .text(d => d.lineNum + ": " + d.text);
+    }
+  }
+
+  // Wrap each (non-overlapping) named group of a match into a colored span
+  highlightGroups(match) {
+    let vis = this;
+
+    let groups = vis.regexp.getNames()
+        .filter(name => match.groupIndices[name])
+        .map(name => ({ name: name, start: match.groupIndices[name][0], end: match.groupIndices[name][1] }))
+        .sort((a,b) => d3.ascending(a.start, b.start));
+
+    let html = "";
+    let pos = match.index;
+    groups.forEach(group => {
+      if(group.start < pos) return; // Nested groups
+
+      html += vis.escape(vis.excerpt.substring(pos, group.start));
+      html += '<span class="parser-preview-group" style="background:' + vis.colorScale(group.name) + '" title="' + group.name + '">'
+          + vis.escape(vis.excerpt.substring(group.start, group.end)) + '</span>';
+      pos = group.end;
+    });
+    html += vis.escape(vis.excerpt.substring(pos, match.index + match[0].length));
+
+    return html;
+  }
+
+  countLines(text) {
+    return text.split("\n").length;
+  }
+
+  escape(text) {
+    return $("<div>").text(text).html();
+  }
+}
@@ -32,7 +32,7 @@ class TemporalHeatmap {
   wrangleDataAndUpdateScales() {
     let vis = this;  
     
-    vis.hosts = d3.map(vis.data, d => d.host).keys();
+    vis.hosts = d3.map(vis.data, d => d.displayHost).keys();
 
     vis.data.sort((a,b) => d3.ascending(a.pos, b.pos));
 
@@ -88,16 +88,32 @@ class TemporalHeatmap {
     
     cellEnter.merge(cell)
       .transition()
-        .attr("x", d => vis.xScale(d.host))
+        .attr("x", d => vis.xScale(d.displayHost))
         //.attr("y", d => (d.vectorTimestamp.ownTime-1) * vis.config.cellHeight)
         .attr("y", (d,index) => index * vis.config.cellHeight)
         .attr("width", vis.config.cellWidth)
         .attr("height", Math.max(1, vis.config.cellHeight-1))
     
     cellEnter.merge(cell)
-        .on("mouseover", d => app.tooltip.showEvent(d, { x: d3.event.pageX, y: d3.event.pageY }))
-        .on("mouseout", d => app.tooltip.hide());
+        .classed("highlighted", d => app.highlight && app.highlight.has(d))
+        .on("mouseover", d => {
+          app.tooltip.showEvent(d, { x: d3.event.pageX, y: d3.event.pageY });
+          linkEvents([d]);
+        })
+        .on("mouseout", d => {
+          app.tooltip.hide();
+          setLinkedHighlight(null);
+        })
+        .on("click", d => setCausalFilter(d));
     
     cell.exit().remove();
+
+    vis.updateLinkedHighlight();
+  }
+
+  // Events that are linked to the hovered element of another view (see setLinkedHighlight)
+  updateLinkedHighlight() {
+    this.focus.selectAll(".cell")
+        .classed("linked", d => !!app.linked && app.linked.ids.has(d.id));
   }
 }
@@ -50,7 +50,8 @@ class Timeline {
 
       if(s) {
         let selectedRange = s.map(vis.yScale.invert, vis.yScale);
-        selectedRangeSnapped = selectedRange.map(d => Math.round(d));
+        // Logical time is the index of events, physical time is kept with sub-ms precision
+        selectedRangeSnapped = app.temporalOrder == "physical" ? selectedRange : selectedRange.map(d => Math.round(d));
       }
 
       app.filter.time = selectedRangeSnapped;
@@ -150,6 +151,7 @@ class Timeline {
       barFiltered.exit().remove();
 
       vis.timelineRect.attr("opacity", 0);
+      vis.updateLinkedHighlight();
     } else {
       vis.focus.selectAll(".bar").remove();
       vis.timelineRect.attr("opacity", 1);
@@ -159,4 +161,10 @@ class Timeline {
     vis.svgContainer.select(".brush")
         .call(vis.brush);
   }
+
+  // Time bins with events that are linked to the hovered element of another view (see setLinkedHighlight)
+  updateLinkedHighlight() {
+    this.focus.selectAll(".bar-active")
+        .classed("linked", d => !!app.linked && d.some(event => app.linked.ids.has(event.id)));
+  }
 }
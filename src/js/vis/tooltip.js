@@ -4,18 +4,35 @@ class Tooltip {
     this.config = {
       parentElement: _config.parentElement, 
     }
-    this.formatTime = d3.timeFormat("%Y-%m-%d %H:%M:%S.%L");
   }
 
   showEvent(event, coordinates) {
     let content = '<div class="tooltip-message">'+ event.text +'</div>';
     content += '<table class="tooltip-table">';
-    content += '<tr><th>Host:</th><td class="value">'+ event.host +'</td></tr>';
-    if(event.fields.timestamp) {
-      content += '<tr><th>Date:</th><td class="value">'+ this.formatTime(event.fields.timestamp) +'</td></tr>';
+    content += '<tr><th>Host:</th><td class="value">'+ $("<span>").text(event.displayHost).html() +'</td></tr>';
+    // Original name of a renamed or grouped host
+    if(event.displayHost != event.host) {
+      content += '<tr><th>Original host:</th><td class="value">'+ $("<span>").text(event.host).html() +'</td></tr>';
     }
-    if(event.fields.action) {
-      content += '<tr><th>Action:</th><td class="value">'+ event.fields.action +'</td></tr>';
+    if(event.file) {
+      content += '<tr><th>Source:</th><td class="value">'+ $("<span>").text(event.file + ':' + event.lineNum).html() +'</td></tr>';
+    }
+    if(app.temporalOrder == "physical") {
+      content += '<tr><th>Date:</th><td class="value">'+ app.timeParser.format(event.fields.time_numeric) +'</td></tr>';
+    }
+    // Field of the value chart (e.g., the action)
+    if(app.field && event.fields[app.field] != undefined) {
+      content += '<tr><th>'+ $("<span>").text(app.field).html() +':</th><td class="value">'+ $("<span>").text(event.fields[app.field]).html() +'</td></tr>';
+    }
+    // Events of a merged node (see ModelGraph.collapseLocalEvents)
+    if(event instanceof ModelNode) {
+      const events = event.getLogEvents();
+      content += '<tr><th>Events:</th><td class="value">';
+      events.slice(0, Tooltip.MAX_EVENTS).forEach(d => content += $("<div>").text(d.text).html() +'<br>');
+      if(events.length > Tooltip.MAX_EVENTS) {
+        content += '… and '+ (events.length - Tooltip.MAX_EVENTS) +' more';
+      }
+      content += '</td></tr>';
     }
     this.showTooltip(content, coordinates);
   }
@@ -34,4 +51,7 @@ class Tooltip {
       .css({ top: coordinates.y + 10, left: coordinates.x + 15, display:'block' })
       .html(content);
   }
-}
\ No newline at end of file
+}
+
+// Maximum number of collapsed events that are listed
+Tooltip.MAX_EVENTS = 10;
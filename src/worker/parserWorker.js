@@ -0,0 +1,112 @@
+/*
+ * Web worker that parses the raw log and builds the graph of each execution
+ * without blocking the UI thread. The bundle (dist/worker.js) also contains
+ * the vendor libraries and the model classes.
+ *
+ * Request: { log, parser, delimiter, format, clockFormat, fieldSeparators, lenient, time, ordering } (log: string or array of Files,
+ * which are read in chunks; format: "regex", "json" (the parser is a JSON mapping for JSON lines) or "trace" (Jaeger or OTLP JSON,
+ * the parser is the host granularity of TraceImporter); clockFormat: name of a ClockDecoder; fieldSeparators: key-value
+ * separators of the FieldExtractor or empty)
+ * Responses: { type: "progress", stage, ... }, { type: "done", labels, graphs, report }, { type: "error", exception }
+ */
+
+// Minimum time between two progress messages (ms)
+const progressInterval = 100;
+let lastProgressMessage = 0;
+
+onmessage = async function(e) {
+  let request = e.data;
+
+  try {
+    let delimiter = request.delimiter == "" ? null : new NamedRegExp(request.delimiter, "m");
+    let options = {
+      ordering: request.ordering,
+      lenient: request.lenient,
+      clockDecoder: ClockDecoder.get(request.clockFormat || "json"),
+      onProgress: progress => postProgress("parse", progress)
+    };
+
+    let parser;
+    if(request.format == "trace") {
+      // Traces are imported as a whole
+      parser = new TraceImporter({ hosts: request.parser, lenient: request.lenient, onProgress: options.onProgress });
+      if(typeof request.log == "string") {
+        parser.addText(request.log);
+      } else {
+        for(let file of request.log) {
+          await parser.addFile(file);
+        }
+      }
+      parser.build();
+    } else {
+      let regexp = request.format == "json" ? new JsonMapping(request.parser, new TimeParser(request.time || {}).config.field)
+          : new NamedRegExp(request.parser, "m");
+
+      if(typeof request.log == "string" && request.format == "json") {
+        parser = new LogStreamParser(delimiter, regexp, options);
+        parser.append(request.log, { bytesRead: request.log.length, size: request.log.length });
+        parser.finish();
+      } else if(typeof request.log == "string") {
+        parser = new LogParser(request.log, delimiter, regexp, options);
+      } else {
+        parser = new MultiFileParser(request.log, delimiter, regexp, options);
+        await parser.parse();
+      }
+    }
+
+    let labels = parser.getLabels();
+    let graphs = {};
+
+    // MultiFileParser already brings the events of descending files into ascending order (before merging them)
+    let ordering = parser instanceof MultiFileParser && request.ordering == "descending" ? "ascending" : request.ordering;
+
+    // Key-value pairs in the text of events become fields (before the graph is built, so they can be the time field)
+    let fieldExtractor = request.fieldSeparators ? new FieldExtractor({ separators: request.fieldSeparators }) : null;
+
+    labels.forEach((label, index) => {
+      let logEvents = parser.getLogEvents(label);
+      if(fieldExtractor) {
+        fieldExtractor.apply(logEvents);
+      }
+
+      graphs[label] = new ModelGraph({
+        // Physical time is used if the events have the configured time field
+        time: request.time,
+        ordering: ordering,
+        onProgress: progress => {
+          progress.fraction = (index + progress.fraction) / labels.length;
+          postProgress("graph", progress);
+        }
+      }, logEvents);
+    });
+
+    // Skipped events (lenient mode), lines that are not part of any event, hosts with clocks out of order
+    // and inconsistent vector clocks (see ClockValidator)
+    let report = { errors: parser.getErrors(), unmatched: parser.getUnmatchedLines(), warnings: [], violations: { count: 0, list: [] } };
+    labels.forEach(label => {
+      graphs[label].warnings.forEach(d => report.warnings.push(Object.assign({ label: label }, d)));
+
+      let validation = new ClockValidator(graphs[label]).validate();
+      report.violations.count += validation.count;
+      validation.violations.forEach(d => report.violations.list.push(Object.assign({ label: label }, d)));
+    });
+
+    labels.forEach(label => BackgroundParser.prepareGraph(graphs[label]));
+    postMessage({ type: "done", labels: labels, graphs: graphs, report: report });
+  } catch(exception) {
+    if(!(exception instanceof Exception)) {
+      exception = new Exception(exception.toString());
+    }
+    postMessage({ type: "error", exception: exception });
+  }
+};
+
+function postProgress(stage, progress) {
+  let now = Date.now();
+  if(now - lastProgressMessage < progressInterval && progress.fraction < 1) return;
+
+  lastProgressMessage = now;
+  progress.type = "progress";
+  progress.stage = stage;
+  postMessage(progress);
+}